@@ -4,81 +4,82 @@
  * ========================================================================== */
 
 import { ConfigManager }   from './config.js';
-import { MCPManager }      from './mcp_client.js';
+import { MCPManager, normalizeElicitationContent } from './mcp_client.js';
 import { OllamaWithMCP }   from './ollama_integration.js';
+import { validateConfig, serverSchema, formatErrors } from './config_schema.js';
+import { createConversation, addTurn } from './conversation_store.js';
+import { EXPORT_FORMATS, exportConversation, parseConversation, formatForFile } from './conversation_export.js';
 import readline            from 'readline';
+import fs                  from 'fs';
 
 /*─────────────────────────────────────────────────────────────────────────────
- * Helper: "server.tool" → {serverId, toolName}
+ * Helper: render chat events (tokens, tool calls) as they arrive
  *───────────────────────────────────────────────────────────────────────────*/
-function parseQualifiedTool(input) {
-  const parts = input.split('.');
-  if (parts.length !== 2) {
-    throw new Error('Use server.tool format, e.g., pg_log.log_chat');
-  }
-  return { serverId: parts[0], toolName: parts[1] };
+function createEventPrinter() {
+  let afterTool = false;      // next token starts a new answer line
+  let progressLine = false;   // cursor is on a progress status line
+
+  return event => {
+    if (event.type !== 'tool_progress') progressLine = false;
+    switch (event.type) {
+      case 'token':
+        if (afterTool) process.stdout.write('\n🤖  ');
+        afterTool = false;
+        process.stdout.write(event.content);
+        break;
+      case 'tool_start':
+        process.stdout.write(`\n🔧  ${event.tool} ${JSON.stringify(event.args)} …`);
+        break;
+      case 'tool_progress':
+        if (!progressLine) process.stdout.write('\n');
+        progressLine = true;
+        printProgress(event);
+        break;
+      case 'tool_end':
+        process.stdout.write(event.error
+          ? `\n    ❌  ${event.tool} failed after ${event.durationMs} ms: ${event.error}`
+          : `\n    ✅  ${event.tool} done in ${event.durationMs} ms`);
+        afterTool = true;
+        break;
+    }
+  };
 }
 
 /*─────────────────────────────────────────────────────────────────────────────
- * Helper: robust tool invocation (works with all MCP SDK versions)
+ * Helper: one-line tool progress status, rewritten in place
  *───────────────────────────────────────────────────────────────────────────*/
-async function callToolSmart(mcpManager, serverId, toolName, args) {
-  /* 0️⃣  NEW — **always** try the wrapped call first (modern SDK shape) */
-  if (mcpManager?.callTool) {
-    try {
-      return await mcpManager.callTool({
-        name: `${serverId}.${toolName}`,
-        arguments: args
-      });
-    } catch { /* ignore and fall through */ }
-  }
-
-  /* 1️⃣  Legacy 3-arg signature: (serverId, toolName, args) */
-  if (mcpManager?.callTool && mcpManager.callTool.length >= 3) {
-    try {
-      return await mcpManager.callTool(serverId, toolName, args);
-    } catch { /* ignore */ }
-  }
-
-  /* 2️⃣  "server.tool" string (dot) */
-  if (mcpManager?.callTool) {
-    try {
-      return await mcpManager.callTool(`${serverId}.${toolName}`, args);
-    } catch { /* ignore */ }
-  }
-
-  /* 3️⃣  "server:tool" string (colon) */
-  if (mcpManager?.callTool) {
-    try {
-      return await mcpManager.callTool(`${serverId}:${toolName}`, args);
-    } catch { /* ignore */ }
-  }
-
-  /* 4️⃣  Bare tool name (last resort) */
-  if (mcpManager?.callTool) {
-    try {
-      return await mcpManager.callTool(toolName, args);
-    } catch { /* ignore */ }
-  }
-
-  /* 5️⃣  Directly poke the raw server/client object if exposed */
-  const raw =
-      mcpManager?.getServer?.(serverId) ||
-      mcpManager?.getClient?.(serverId) ||
-      mcpManager?.servers?.get?.(serverId) ||
-      mcpManager?.servers?.[serverId];
+function printProgress({ tool, progress, total, message }) {
+  const amount = total
+    ? `${'█'.repeat(Math.round(progress / total * 20)).padEnd(20, '░')} ${Math.round(progress / total * 100)}%`
+    : `${progress}`;
+  process.stdout.write(`\r\x1b[K    ⏳  ${tool} ${amount}${message ? ` – ${message}` : ''}`);
+}
 
-  if (raw?.callTool) {
-    return await raw.callTool(toolName, args);
-  }
-  if (raw?.request) {
-    return await raw.request('tools/call', {
-      name: toolName,
-      arguments: args
-    });
+/*─────────────────────────────────────────────────────────────────────────────
+ * Helper: parse `key=value key2="quoted value"` prompt arguments
+ *───────────────────────────────────────────────────────────────────────────*/
+function parsePromptArgs(str) {
+  const args = {};
+  const re = /(\w[\w-]*)=(?:"([^"]*)"|'([^']*)'|(\S*))/g;
+  let m;
+  while ((m = re.exec(str)) !== null) {
+    args[m[1]] = m[2] ?? m[3] ?? m[4];
   }
+  return args;
+}
 
-  throw new Error(`Could not call tool; unsupported MCPManager/client shape for '${serverId}.${toolName}'`);
+/*─────────────────────────────────────────────────────────────────────────────
+ * Helper: split `@scheme://…` resource attachments off a chat line
+ *───────────────────────────────────────────────────────────────────────────*/
+function extractAttachments(line) {
+  const uris = [];
+  const text = line
+    .replace(/(^|\s)@([a-z][\w+.-]*:\S+)/gi, (_, lead, uri) => {
+      uris.push(uri);
+      return lead;
+    })
+    .trim();
+  return { text: text || (uris.length ? 'Please take the attached resource(s) into account.' : ''), uris };
 }
 
 /*─────────────────────────────────────────────────────────────────────────────
@@ -108,6 +109,16 @@ class OllamaMCPCLI {
     }
   }
 
+  /* --------------------------------------------------------------------- */
+  // --config=<path>, --profile=<name> and --read-only work with every command
+  async loadConfig() {
+    const cfgPath = process.argv.find(a => a.startsWith('--config='))?.split('=')[1];
+    const profile = process.argv.find(a => a.startsWith('--profile='))?.split('=')[1];
+    await this.configManager.loadConfig(cfgPath, profile, { readOnly: process.argv.includes('--read-only') });
+    if (profile && this.configManager.profile !== profile) process.exit(1);
+    return { cfgPath, profile };
+  }
+
   /* --------------------------------------------------------------------- */
   showHelp() {
     console.log(`
@@ -119,10 +130,15 @@ Commands
   init                    Create a default configuration file
   config <action>         Manage configuration
      • show               Show current configuration
+     • validate [file]    Check the config file against the schema
+     • import-claude [file]
+                          Copy MCP servers from the Claude Desktop config
      • set-ollama <host>  Change Ollama host (default: http://localhost:11434)
      • set-model <model>  Change default model (default: llama3:latest)
      • add-server <name>  Add a new MCP server interactively
      • remove-server <name>
+     • enable-server <name> / disable-server <name>
+                          Disabled servers stay in the config but are not started
      • edit-instructions  Edit system / follow-up prompts
   test                    Connect to all MCP servers & list tools
   chat                    Interactive chat REPL
@@ -133,13 +149,34 @@ Commands
 Chat shortcuts
   tools                   List tools
   clear                   Clear conversation history
+  /save <file> [format]   Export the chat with tool calls and results; the
+                          format (markdown, json, jsonl) follows the extension
+  /load <file.json>       Resume a chat from a JSON export (CLI or web GUI)
   exit                    Quit chat
+  Ctrl+C                  Cancel the answer / tool call in progress
+  /server                 List MCP servers and their state
+  /server <restart|enable|disable|remove> <name>
+  /server add <name> <jsonConfig>
+                          Manage one server without restarting the chat, e.g.
+                          /server add weather {"type":"http","url":"http://localhost:3001/mcp"}
   tool <server.tool> <jsonArgs>
-                          Call a tool directly, e.g.
+                          Call a tool directly (a bare tool name works
+                          when only one server has it), e.g.
                           tool pg_log.log_chat {"user_text":"hi","assistant_text":"hello"}
+  resources               List MCP resources and resource templates
+  @<uri>                  Attach a resource to the message, e.g.
+                          What should I wear? @weather://current/Berlin
+  prompts                 List MCP prompt templates and their arguments
+  /prompt <server.prompt> key=value …
+                          Expand a prompt template into the conversation, e.g.
+                          /prompt weather.forecast_report city="New York"
 
 Options
   --config=<path>         Use custom config file (defaults to ./mcp_config.json)
+  --profile=<name>        Use a profile from the config (default: "defaultProfile")
+  --read-only             Never write the config file (changes last until exit)
+  --host=<address>        Address the web GUI listens on (default: 127.0.0.1)
+  --allow-stdio-servers   Let the web GUI API add and enable stdio servers
 `);
   }
 
@@ -169,8 +206,7 @@ Options
 
   /* --------------------------------------------------------------------- */
   async manageConfig(args) {
-    const cfgPath = process.argv.find(a => a.startsWith('--config='))?.split('=')[1];
-    await this.configManager.loadConfig(cfgPath);
+    const { cfgPath, profile } = await this.loadConfig();
     const action  = args[0];
 
     switch (action) {
@@ -178,18 +214,41 @@ Options
         this.configManager.printConfigInfo();
         break;
 
+      case 'validate': {
+        // Check the loaded file, or another one given as argument (merged with the global and local files)
+        const target = args.slice(1).find(a => !a.startsWith('--'));
+        const errors = target ? this.configManager.validateFile(target, profile) : this.configManager.validationErrors;
+        const file = target || cfgPath || this.configManager.getConfigPath();
+        if (errors.length === 0) {
+          console.log(`✅  ${file} is valid`);
+        } else {
+          console.log(`❌  ${file}: ${errors.length} problem(s)`);
+          formatErrors(errors).forEach(line => console.log(`   - ${line}`));
+          process.exitCode = 1;
+        }
+        break;
+      }
+
+      case 'import-claude': {
+        const file = args.slice(1).find(a => !a.startsWith('--'));
+        const { source, imported, skipped } = this.configManager.importClaudeConfig(file);
+        console.log(`📥  Claude Desktop config: ${source}`);
+        if (skipped.length) console.log(`ℹ️  Already configured, kept: ${skipped.join(', ')}`);
+        if (!imported.length) return console.log('ℹ️  No new servers to import');
+        if (await this.configManager.saveConfig()) console.log(`✅  Imported ${imported.length} server(s): ${imported.join(', ')}`);
+        break;
+      }
+
       case 'set-ollama':
         if (!args[1]) return console.log('❌  Provide host URL');
         this.configManager.updateOllamaConfig({ host: args[1] });
-        await this.configManager.saveConfig();
-        console.log(`✅  Ollama host set to ${args[1]}`);
+        if (await this.configManager.saveConfig()) console.log(`✅  Ollama host set to ${args[1]}`);
         break;
 
       case 'set-model':
         if (!args[1]) return console.log('❌  Provide model name');
         this.configManager.updateOllamaConfig({ defaultModel: args[1] });
-        await this.configManager.saveConfig();
-        console.log(`✅  Default model set to ${args[1]}`);
+        if (await this.configManager.saveConfig()) console.log(`✅  Default model set to ${args[1]}`);
         break;
 
       case 'add-server':
@@ -199,16 +258,23 @@ Options
       case 'remove-server':
         if (!args[1]) return console.log('❌  Provide server name');
         this.configManager.removeMCPServer(args[1]);
-        await this.configManager.saveConfig();
-        console.log(`✅  Removed server ${args[1]}`);
+        if (await this.configManager.saveConfig()) console.log(`✅  Removed server ${args[1]}`);
         break;
 
+      case 'enable-server':
+      case 'disable-server': {
+        if (!this.configManager.getMCPServers()[args[1]]) return console.log('❌  Provide a configured server name');
+        this.configManager.setServerDisabled(args[1], action === 'disable-server');
+        if (await this.configManager.saveConfig()) console.log(`✅  Server ${args[1]} ${action === 'disable-server' ? 'disabled' : 'enabled'}`);
+        break;
+      }
+
       case 'edit-instructions':
         await this.editInstructions();
         break;
 
       default:
-        console.log('❌  Unknown action. Use show / set-ollama / set-model / add-server / remove-server / edit-instructions');
+        console.log('❌  Unknown action. Use show / validate / import-claude / set-ollama / set-model / add-server / remove-server / enable-server / disable-server / edit-instructions');
     }
   }
 
@@ -221,26 +287,48 @@ Options
 
     try {
       console.log(`\n🔧  Adding MCP server: ${name}`);
-      const command   = await ask('Command (e.g. node): ');
-      const argsInput = await ask('Arguments (space-separated): ');
-      const args      = argsInput.trim() ? argsInput.trim().split(/\s+/) : [];
+      const type = (await ask('Transport (stdio / http / sse) [stdio]: ')).trim().toLowerCase() || 'stdio';
+      let cfg;
+
+      if (type === 'http' || type === 'sse') {
+        const url = await ask('Server URL (e.g. http://localhost:3001/mcp): ');
+
+        console.log('\n📨  HTTP headers (Enter on empty name to finish)');
+        const headers = {};
+        while (true) {
+          const key = await ask('Header: ');
+          if (!key.trim()) break;
+          headers[key] = await ask(`Value for ${key}: `);
+        }
 
-      console.log('\n🌍  Environment variables (Enter on empty name to finish)');
-      const env = {};
-      while (true) {
-        const key = await ask('Name: ');
-        if (!key.trim()) break;
-        env[key] = await ask(`Value for ${key}: `);
-      }
+        cfg = { type, url: url.trim(), headers };
+      } else {
+        const command   = await ask('Command (e.g. node): ');
+        const argsInput = await ask('Arguments (space-separated): ');
+        const args      = argsInput.trim() ? argsInput.trim().split(/\s+/) : [];
+
+        console.log('\n🌍  Environment variables (Enter on empty name to finish)');
+        const env = {};
+        while (true) {
+          const key = await ask('Name: ');
+          if (!key.trim()) break;
+          env[key] = await ask(`Value for ${key}: `);
+        }
 
-      const cfg = { command, args, env };
+        cfg = { command, args, env };
+      }
       console.log('\n📋  Server config:\n', JSON.stringify(cfg, null, 2));
 
+      const errors = validateConfig(cfg, serverSchema, ['mcpServers', name]);
+      if (errors.length > 0) {
+        formatErrors(errors).forEach(line => console.log(`❌  ${line}`));
+        return;
+      }
+
       const ok = (await ask('\n💾  Add this server? (y/N): ')).toLowerCase();
       if (ok === 'y' || ok === 'yes') {
         this.configManager.addMCPServer(name, cfg);
-        await this.configManager.saveConfig();
-        console.log('✅  Added.');
+        if (await this.configManager.saveConfig()) console.log('✅  Added.');
       } else {
         console.log('ℹ️  Not added.');
       }
@@ -264,8 +352,7 @@ Options
       if (newFU.trim())  upd.followUp = newFU.trim();
       if (Object.keys(upd).length) {
         this.configManager.updateInstructions(upd);
-        await this.configManager.saveConfig();
-        console.log('✅  Updated.');
+        if (await this.configManager.saveConfig()) console.log('✅  Updated.');
       } else {
         console.log('ℹ️  No changes.');
       }
@@ -275,8 +362,7 @@ Options
   /* -----------------------  testConnection  ---------------------------- */
   async testConnection() {
     console.log('🔧  Testing MCP connections …\n');
-    const cfgPath = process.argv.find(a => a.startsWith('--config='))?.split('=')[1];
-    await this.configManager.loadConfig(cfgPath);
+    await this.loadConfig();
     this.configManager.printConfigInfo();
 
     this.mcpManager = new MCPManager(this.configManager);
@@ -284,12 +370,24 @@ Options
 
     const tools     = this.mcpManager.getAvailableTools();
     const resources = this.mcpManager.getAvailableResources();
+    const prompts   = this.mcpManager.getAvailablePrompts();
     const servers   = this.mcpManager.getAllServers();
 
     console.log('\n📊  Connection summary:');
     console.log(`  Servers   : ${servers.length}`);
     console.log(`  Tools     : ${tools.length}`);
     console.log(`  Resources : ${resources.length}`);
+    console.log(`  Prompts   : ${prompts.length}`);
+
+    const health = this.mcpManager.getServerStatus();
+    if (servers.length) {
+      console.log('\n🩺  Server health:');
+      const icons = { ready: '✅', degraded: '⚠️ ', connecting: '⏳', dead: '❌' };
+      servers.forEach(name => {
+        const { state, lastError } = health[name];
+        console.log(`    ${icons[state] || '•'} ${name}: ${state}${lastError ? ` (${lastError})` : ''}`);
+      });
+    }
 
     if (tools.length) {
       console.log('\n🔧  Tools:');
@@ -299,9 +397,14 @@ Options
       });
     }
 
-    if (resources.length) {
+    if (resources.length || this.mcpManager.getResourceTemplates().length) {
       console.log('\n📁  Resources:');
-      resources.forEach(r => console.log(`    • ${r}`));
+      this.listResources();
+    }
+
+    if (prompts.length) {
+      console.log('\n📝  Prompts:');
+      this.listPrompts();
     }
 
     await this.mcpManager.close();
@@ -311,8 +414,8 @@ Options
   async forceLogChat(userText, assistantText) {
     if (!userText || !assistantText) return;
     try {
-      await callToolSmart(
-        this.mcpManager, 'pg_log', 'log_chat',
+      await this.mcpManager.callTool(
+        'pg_log.log_chat',
         { user_text: userText, assistant_text: assistantText }
       );
       console.log('🗄️   Chat logged to DB');
@@ -324,16 +427,71 @@ Options
   /* -------------------------  startChat  ------------------------------- */
   async startChat() {
     console.log('💬  Starting chat REPL …\n');
-    const cfgPath = process.argv.find(a => a.startsWith('--config='))?.split('=')[1];
-    await this.configManager.loadConfig(cfgPath);
+    await this.loadConfig();
 
     this.mcpManager   = new MCPManager(this.configManager);
     await this.mcpManager.initializeServers();
     this.ollamaClient = new OllamaWithMCP(this.mcpManager, this.configManager);
+    this.session      = createConversation(); // what /save exports and /load replaces
 
     const rl  = readline.createInterface({ input: process.stdin, output: process.stdout });
     const ask = q => new Promise(res => rl.question(q, res));
+
+    // Servers with sampling approval "ask" need a yes from the user first
+    this.mcpManager.setSamplingApprover(async ({ server, params }) => {
+      const last = params.messages[params.messages.length - 1];
+      const text = last?.content?.type === 'text' ? last.content.text : `[${last?.content?.type}]`;
+      console.log(`\n🧠  ${server} asks the model for a completion (max ${params.maxTokens} tokens):`);
+      console.log(`    ${text.length > 300 ? `${text.slice(0, 300)}…` : text}`);
+      const answer = (await ask('    Allow? (y/N): ')).trim().toLowerCase();
+      return answer === 'y' || answer === 'yes';
+    });
+
+    // elicitation/create: ask for each field of the server's schema
+    this.mcpManager.setElicitationHandler(request => this.answerElicitation(ask, request));
+
     console.log('💡  Type "exit" to quit, "tools" to list, or use "tool <server.tool> <jsonArgs>"');
+    console.log('💡  "prompts" lists prompt templates, "/prompt <server.prompt> key=value …" runs one');
+    console.log('💡  "resources" lists resources; attach one to a message with @<uri>');
+    console.log('💡  "/server" lists MCP servers, "/server restart <name>" (or enable, disable, remove, add) manages one');
+    console.log('💡  "/save <file>" exports the chat (.md, .json or .jsonl), "/load <file.json>" resumes one');
+    console.log('💡  Ctrl+C cancels the answer or tool call in progress');
+
+    // Ctrl+C aborts the turn in flight instead of quitting the REPL
+    let inFlight = null;
+    rl.on('SIGINT', () => {
+      if (inFlight) {
+        inFlight.abort();
+      } else {
+        console.log('\n(Type "exit" to quit)');
+      }
+    });
+
+    // One streamed, cancellable model turn; `start` receives (signal, onEvent).
+    // `user` is the transcript entry: { content, attachments? }
+    const runTurn = async (user, start) => {
+      inFlight = new AbortController();
+      try {
+        process.stdout.write('🤖  ');
+        const out = await start(inFlight.signal, createEventPrinter());
+        if (out.injected) {
+          console.log(`\n📝  Added ${out.injected} prompt message(s) to the conversation`);
+          return;
+        }
+        process.stdout.write('\n');
+        addTurn(this.session, user, out);
+        const text = out.finalResponse ?? out.response ?? '';
+        await this.forceLogChat(user.content, text);
+      } catch (err) {
+        if (inFlight.signal.aborted) {
+          console.log('\n⏹️   Cancelled');
+        } else {
+          console.error('\n❌  Chat error:', err.message || err);
+        }
+      } finally {
+        inFlight = null;
+      }
+    };
 
     while (true) {
       const line = await ask('\n> ');
@@ -342,56 +500,237 @@ Options
         console.log('Tools:', this.mcpManager.getAvailableTools());
         continue;
       }
+      if (line.toLowerCase() === 'resources') {
+        this.listResources();
+        continue;
+      }
+      if (line.toLowerCase() === 'prompts') {
+        this.listPrompts();
+        continue;
+      }
       if (line.toLowerCase() === 'clear') {
-        this.ollamaClient.clearConversationHistory();
+        this.session = createConversation();
         console.log('🧹  History cleared');
         continue;
       }
 
+      /* export / import the conversation */
+      if (line === '/save' || line.startsWith('/save ')) {
+        this.saveConversation(line.slice(5).trim());
+        continue;
+      }
+      if (line === '/load' || line.startsWith('/load ')) {
+        this.loadConversation(line.slice(5).trim());
+        continue;
+      }
+
+      /* live server management */
+      if (line === '/server' || line.startsWith('/server ')) {
+        await this.manageLiveServer(line.slice(7).trim());
+        continue;
+      }
+
       /* direct tool call */
       if (line.startsWith('tool ')) {
         const rest   = line.slice(5).trim();
         const sp     = rest.indexOf(' ');
         const qname  = sp === -1 ? rest : rest.slice(0, sp);
         const argStr = sp === -1 ? '{}' : rest.slice(sp + 1);
+        inFlight = new AbortController();
         try {
-          const { serverId, toolName } = parseQualifiedTool(qname);
           const argObj = JSON.parse(argStr || '{}');
-          const res = await callToolSmart(this.mcpManager, serverId, toolName, argObj);
-          console.log('✅  Tool result:', res);
+          const res = await this.mcpManager.callTool(qname, argObj, {
+            signal: inFlight.signal,
+            onProgress: p => printProgress({ tool: qname, ...p })
+          });
+          console.log('\n✅  Tool result:', res);
         } catch (e) {
-          console.error('❌  Tool call failed:', e.message || e);
+          if (inFlight.signal.aborted) {
+            console.log('\n⏹️   Cancelled');
+          } else {
+            console.error('\n❌  Tool call failed:', e.message || e);
+          }
+        } finally {
+          inFlight = null;
         }
         continue;
       }
 
-      /* normal chat */
-      try {
-        console.log('🤖  Thinking …');
-        const out = await this.ollamaClient.chat(line);
-        const text = out.finalResponse ?? out.response ?? '';
-        if (out.error) {
-          console.error('❌  Error:', out.error);
-        } else if (out.toolUsed) {
-          console.log(`🔧  Tool used: ${out.toolUsed}\n${out.finalResponse}`);
-        } else {
-          console.log('💭  ', text);
+      /* MCP prompt template → injected into the conversation */
+      if (line === '/prompt' || line.startsWith('/prompt ')) {
+        const rest  = line.slice(7).trim();
+        const sp    = rest.indexOf(' ');
+        const pname = sp === -1 ? rest : rest.slice(0, sp);
+        if (!pname) {
+          this.listPrompts();
+          continue;
         }
-        await this.forceLogChat(line, text);
-      } catch (err) {
-        console.error('❌  Chat error:', err.message || err);
+        const promptArgs = parsePromptArgs(sp === -1 ? '' : rest.slice(sp + 1));
+        await runTurn({ content: `/prompt ${rest}` }, (signal, onEvent) =>
+          this.ollamaClient.runPrompt(pname, promptArgs, null, { stream: true, signal, onEvent, history: this.session.history }));
+        continue;
       }
+
+      /* normal chat (streamed), with optional @uri attachments */
+      const { text, uris } = extractAttachments(line);
+      if (uris.length) console.log(`📎  Attaching ${uris.join(', ')}`);
+      await runTurn({ content: text, ...(uris.length ? { attachments: uris } : {}) }, (signal, onEvent) =>
+        this.ollamaClient.chat(text, null, { stream: true, signal, onEvent, attachments: uris, history: this.session.history }));
     }
 
     rl.close();
     await this.mcpManager.close();
   }
 
+  /* ----------------------  saveConversation  -------------------------- */
+  // `/save <file> [markdown|json|jsonl]`; the format defaults to the file extension
+  saveConversation(argStr) {
+    const [file, format = file && formatForFile(file)] = argStr.split(/\s+/).filter(Boolean);
+    if (!file) {
+      console.log('Usage: /save <file> [markdown|json|jsonl]   e.g. /save weather.md');
+      return;
+    }
+    if (!EXPORT_FORMATS[format]) {
+      console.error(`❌  Unknown format '${format}' (expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+      return;
+    }
+    if (this.session.transcript.length === 0) {
+      console.log('    (nothing to save yet)');
+      return;
+    }
+    try {
+      const text = exportConversation(this.session, format, { systemPrompt: this.configManager.getInstructions().system });
+      fs.writeFileSync(file, text);
+      console.log(`💾  Saved "${this.session.title}" to ${file} (${format})`);
+    } catch (e) {
+      console.error('❌  Could not save the conversation:', e.message);
+    }
+  }
+
+  /* ----------------------  loadConversation  -------------------------- */
+  // `/load <file.json>`: replace the chat with a JSON export and continue it
+  loadConversation(file) {
+    if (!file) {
+      console.log('Usage: /load <file.json>');
+      return;
+    }
+    try {
+      this.session = parseConversation(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      console.error(`❌  Could not load ${file}:`, e.message);
+      return;
+    }
+
+    console.log(`📂  Loaded "${this.session.title}" (${this.session.transcript.length} messages)`);
+    for (const entry of this.session.transcript.slice(-6)) {
+      const text = entry.content.replace(/\s+/g, ' ');
+      console.log(`    ${entry.role === 'assistant' ? '🤖' : '🧑'}  ${text.length > 120 ? `${text.slice(0, 120)}…` : text}`);
+    }
+  }
+
+  /* ----------------------  answerElicitation  -------------------------- */
+  async answerElicitation(ask, { server, message, requestedSchema }) {
+    console.log(`\n📝  ${server} asks: ${message}`);
+    const choice = (await ask('    (a)nswer, (d)ecline or (c)ancel? ')).trim().toLowerCase();
+    if (choice.startsWith('d')) return { action: 'decline' };
+    if (!choice.startsWith('a')) return { action: 'cancel' };
+
+    const content = {};
+    for (const [key, prop] of Object.entries(requestedSchema.properties || {})) {
+      const required = !!requestedSchema.required?.includes(key);
+      const hint     = prop.enum ? prop.enum.join('/') : prop.type;
+      const field    = { properties: { [key]: prop }, required: required ? [key] : [] };
+
+      // re-ask until the value fits the schema
+      while (true) {
+        const value = await ask(`    ${prop.title || key} (${hint}${required ? ', required' : ''})${prop.description ? ` – ${prop.description}` : ''}: `);
+        try {
+          Object.assign(content, normalizeElicitationContent(field, { [key]: value.trim() }));
+          break;
+        } catch (e) {
+          console.log(`    ❌  ${e.message}`);
+        }
+      }
+    }
+    return { action: 'accept', content };
+  }
+
+  /* ------------------------  listResources  ---------------------------- */
+  listResources() {
+    const resources = this.mcpManager.getAvailableResources();
+    const templates = this.mcpManager.getResourceTemplates();
+    if (!resources.length && !templates.length) {
+      console.log('    (no resources)');
+      return;
+    }
+    for (const uri of resources) {
+      const info = this.mcpManager.getResourceInfo(uri);
+      console.log(`    • ${uri}${info.mimeType ? ` (${info.mimeType})` : ''}${info.description ? `  – ${info.description}` : ''}`);
+    }
+    for (const t of templates) {
+      console.log(`    • ${t.uriTemplate}  [template, ${t.server}]${t.description ? `  – ${t.description}` : ''}`);
+    }
+  }
+
+  /* -------------------------  listPrompts  ----------------------------- */
+  listPrompts() {
+    const prompts = this.mcpManager.getAvailablePrompts();
+    if (!prompts.length) {
+      console.log('    (no prompts)');
+      return;
+    }
+    for (const id of prompts) {
+      const info = this.mcpManager.getPromptInfo(id);
+      const args = (info.arguments || []).map(a => (a.required ? `${a.name}=…` : `[${a.name}=…]`)).join(' ');
+      console.log(`    • ${id} ${args}${info.description ? `  – ${info.description}` : ''}`);
+    }
+  }
+
+  /* -----------------------  manageLiveServer  ------------------------- */
+  async manageLiveServer(input) {
+    const [action, name, ...rest] = input.split(/\s+/).filter(Boolean);
+
+    try {
+      switch (action) {
+        case undefined:
+        case 'list': {
+          const status = this.mcpManager.getServerStatus();
+          Object.entries(status).forEach(([server, s]) =>
+            console.log(`    • ${server}: ${s.state} (${s.tools} tools)${s.lastError ? ` – ${s.lastError}` : ''}`));
+          if (!Object.keys(status).length) console.log('    (no servers)');
+          return;
+        }
+        case 'restart':
+          await this.mcpManager.restartServer(name);
+          break;
+        case 'enable':
+        case 'disable':
+          await this.mcpManager.setServerEnabled(name, action === 'enable');
+          await this.configManager.saveConfig();
+          break;
+        case 'remove':
+          await this.mcpManager.removeServer(name);
+          await this.configManager.saveConfig();
+          break;
+        case 'add':
+          await this.mcpManager.addServer(name, JSON.parse(rest.join(' ') || '{}'));
+          await this.configManager.saveConfig();
+          break;
+        default:
+          console.log('❌  Use /server [list|restart|enable|disable|remove|add] <name>');
+          return;
+      }
+      const state = this.mcpManager.getServerStatus()[name]?.state ?? 'removed';
+      console.log(`✅  ${name}: ${state}`);
+    } catch (e) {
+      console.error('❌  Server command failed:', e.message || e);
+    }
+  }
+
   /* --------------------------  startServer  ---------------------------- */
   async startServer() {
     console.log('🌐  Starting HTTP API …');
-    const cfgPath = process.argv.find(a => a.startsWith('--config='))?.split('=')[1];
-    await this.configManager.loadConfig(cfgPath);
+    await this.loadConfig();
     const { default: main } = await import('./main_index.js');
     await main();               // your existing file
   }
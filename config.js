@@ -1,124 +1,488 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { EventEmitter } from 'events';
+import { validateConfig, formatErrors, layerSchema } from './config_schema.js';
 
-export class ConfigManager {
-  constructor() {
-    this.configPath = null;
-    this.config = {
-      mcpServers: {},
-      ollama: {
-        host: 'http://localhost:11434',
-        defaultModel: 'llama3.2'
-      },
-      instructions: {
-        system: 'You are a helpful AI assistant with access to various tools through MCP (Model Context Protocol) servers.',
-        followUp: 'Tool result: {TOOL_RESULT}\n\nPlease provide a helpful summary of this information using proper markdown formatting.'
-      }
-    };
+// ${VAR} or ${VAR:-default}
+const PLACEHOLDER = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/**
+ * Replace ${VAR} / ${VAR:-default} placeholders in a string, or in every string
+ * of an object / array. A variable that is unset (or empty) without a default
+ * is an error; `where` names the config key in that message.
+ */
+export function interpolate(value, env = process.env, where = 'config') {
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER, (_, name, fallback) => {
+      if (env[name] !== undefined && env[name] !== '') return env[name];
+      if (fallback !== undefined) return fallback;
+      throw new Error(`Environment variable ${name} is not set (used in ${where})`);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, i) => interpolate(item, env, `${where}[${i}]`));
   }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, env, `${where}.${key}`)]));
+  }
+  return value;
+}
 
-  async loadConfig(configPath = null) {
-    let sourceConfigPath = null;
-    let isClaudeConfig = false;
-    
-    // Try to find config file
-    if (configPath) {
-      sourceConfigPath = path.resolve(configPath);
+// Minimal .env parser: KEY=value lines, optional `export`, quotes and # comments
+export function parseEnvFile(content) {
+  const vars = {};
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) continue;
+    let value = match[2];
+    const quoted = value.match(/^(['"])([\s\S]*)\1$/);
+    if (quoted) {
+      value = quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2];
     } else {
-      // Try our own config first, then Claude configs
-      const possiblePaths = [
-        './mcp_config.json',
-        path.join(os.homedir(), '.config', 'claude', 'claude_desktop_config.json'),
-        path.join(os.homedir(), 'AppData', 'Roaming', 'Claude', 'claude_desktop_config.json'), // Windows
-        path.join(os.homedir(), 'Library', 'Application Support', 'Claude', 'claude_desktop_config.json'), // macOS
-      ];
-
-      for (const possiblePath of possiblePaths) {
-        if (fs.existsSync(possiblePath)) {
-          sourceConfigPath = possiblePath;
-          isClaudeConfig = possiblePath.includes('claude_desktop_config.json');
-          break;
-        }
-      }
+      value = value.replace(/\s+#.*$/, '');
+    }
+    vars[match[1]] = value;
+  }
+  return vars;
+}
+
+// User-wide settings shared by every checkout
+export const GLOBAL_CONFIG_PATH = path.join(os.homedir(), '.config', 'ollamaton', 'mcp_config.json');
+
+// Where Claude Desktop keeps its config (Linux, Windows, macOS), for `config import-claude`
+const CLAUDE_CONFIG_PATHS = [
+  path.join(os.homedir(), '.config', 'claude', 'claude_desktop_config.json'),
+  path.join(os.homedir(), 'AppData', 'Roaming', 'Claude', 'claude_desktop_config.json'),
+  path.join(os.homedir(), 'Library', 'Application Support', 'Claude', 'claude_desktop_config.json')
+];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Deep-merge one config layer into target (arrays and scalars replace), noting
+// in `sources` which layer set each leaf value
+function mergeLayer(target, layer, label, sources, prefix = '') {
+  for (const [key, value] of Object.entries(layer)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      if (!isPlainObject(target[key])) target[key] = {};
+      mergeLayer(target[key], value, label, sources, keyPath);
+    } else {
+      target[key] = structuredClone(value);
+      sources[keyPath] = label;
     }
+  }
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * What changed between two effective configs:
+ *   { ollama: [changed keys], instructions, roots, servers: { added, removed, changed } }
+ * or null when they are the same.
+ */
+export function diffConfig(before, after) {
+  const keys = (a = {}, b = {}) => [...new Set([...Object.keys(a), ...Object.keys(b)])];
+  const beforeServers = before.mcpServers || {};
+  const afterServers = after.mcpServers || {};
+  const changes = {
+    ollama: keys(before.ollama, after.ollama).filter(key => !same(before.ollama?.[key], after.ollama?.[key])),
+    instructions: !same(before.instructions, after.instructions),
+    roots: !same(before.roots, after.roots),
+    servers: {
+      added: Object.keys(afterServers).filter(name => !beforeServers[name]),
+      removed: Object.keys(beforeServers).filter(name => !afterServers[name]),
+      changed: Object.keys(afterServers).filter(name => beforeServers[name] && !same(beforeServers[name], afterServers[name]))
+    }
+  };
+  const { added, removed, changed } = changes.servers;
+  const any = changes.ollama.length || changes.instructions || changes.roots || added.length || removed.length || changed.length;
+  return any ? changes : null;
+}
+
+function describeChanges(changes) {
+  const parts = [];
+  if (changes.ollama.length) parts.push(`ollama: ${changes.ollama.join(', ')}`);
+  if (changes.instructions) parts.push('instructions');
+  if (changes.roots) parts.push('roots');
+  for (const kind of ['added', 'removed', 'changed']) {
+    if (changes.servers[kind].length) parts.push(`servers ${kind}: ${changes.servers[kind].join(', ')}`);
+  }
+  return parts.join('; ');
+}
+
+// mcp_config.json -> mcp_config.local.json
+function localPathFor(configPath) {
+  const ext = path.extname(configPath);
+  return path.join(path.dirname(configPath), `${path.basename(configPath, ext)}.local${ext || '.json'}`);
+}
+
+export class ConfigManager extends EventEmitter {
+  constructor() {
+    super();
+    this.configPath = null;
+    this.validationErrors = []; // problems found in the last loaded files
+    this.profile = null;        // active profile name
+    this.readOnly = false;      // saveConfig refuses to write when set
+    this.layers = [];           // [{ label, path, data }] from lowest to highest priority
+    this.sources = {};          // 'ollama.host' -> label of the layer that set it
+    this.watchers = null;       // files polled by watch()
+
+    // this.config is the project file as written on disk (what saveConfig writes);
+    // this.effective is what everything else reads: all layers plus the active profile
+    this.config = this.createDefaultConfig();
+    this.effective = this.createDefaultConfig();
+  }
+
+  /**
+   * Load the layered configuration, lowest priority first:
+   *   defaults → global (~/.config/ollamaton/mcp_config.json) → project (mcp_config.json
+   *   or --config) → local override (mcp_config.local.json) → the selected profile.
+   * `profile` defaults to the config's "defaultProfile". Loading never writes
+   * files; with `readOnly` saveConfig refuses to write as well.
+   */
+  async loadConfig(configPath = null, profile = null, { readOnly = false } = {}) {
+    this.validationErrors = [];
+    this.readOnly = readOnly;
 
-    // Always use our own config file for saving (absolute path to avoid directory issues)
-    this.configPath = path.resolve('mcp_config.json');
+    this.loadEnvFile(path.resolve('.env'));
+
+    // Saves go back to the file that was read (absolute path to avoid directory issues)
+    const sourceConfigPath = path.resolve(configPath || 'mcp_config.json');
+    this.configPath = sourceConfigPath;
+    const localPath = localPathFor(sourceConfigPath);
+    const globalData = this.readLayer(GLOBAL_CONFIG_PATH);
+    let loaded = false;
+
+    if (fs.existsSync(sourceConfigPath)) {
+      // A .env next to the config file counts too
+      this.loadEnvFile(path.join(path.dirname(sourceConfigPath), '.env'));
 
-    if (sourceConfigPath && fs.existsSync(sourceConfigPath)) {
       try {
         const configData = JSON.parse(fs.readFileSync(sourceConfigPath, 'utf8'));
+        console.log(`📂 Loading config from file: ${sourceConfigPath}`);
+        this.config = configData;
         
-        // If it's a Claude Desktop config, only extract MCP servers (read-only)
-        if (isClaudeConfig || sourceConfigPath.includes('claude_desktop_config.json')) {
-          if (configData.mcpServers) {
-            this.config.mcpServers = configData.mcpServers;
-          } else if (configData.mcp && configData.mcp.servers) {
-            this.config.mcpServers = configData.mcp.servers;
-          }
-          
-          console.log(`✅ Loaded MCP servers from Claude config: ${sourceConfigPath}`);
-          console.log(`📋 Found ${Object.keys(this.config.mcpServers).length} MCP servers`);
-          console.log(`💾 Will save settings to: ${this.configPath}`);
-          
-          // Create our own config file with the imported MCP servers
-          await this.saveConfig();
-          return true;
-        } else {
-          // It's our own config file, load everything
-          console.log(`📂 Loading config from file: ${sourceConfigPath}`);
-          console.log(`📍 Resolved path: ${path.resolve(sourceConfigPath)}`);
-          
-          if (configData.mcpServers) {
-            this.config.mcpServers = configData.mcpServers;
-            console.log(`🔧 Loaded ${Object.keys(configData.mcpServers).length} MCP servers from config`);
-          }
-          if (configData.ollama) {
-            this.config.ollama = { ...this.config.ollama, ...configData.ollama };
-            console.log(`🦙 Loaded Ollama config: host=${configData.ollama.host}, model=${configData.ollama.defaultModel}`);
-          }
-          if (configData.instructions) {
-            this.config.instructions = { ...this.config.instructions, ...configData.instructions };
-            console.log(`📝 Loaded custom instructions (system: ${configData.instructions.system?.length || 0} chars)`);
-          }
-
-          console.log(`✅ Successfully loaded config from: ${sourceConfigPath}`);
-          console.log(`💾 Config will be saved to: ${this.configPath}`);
-          return true;
+        if (configData.mcpServers) {
+          console.log(`🔧 Loaded ${Object.keys(configData.mcpServers).length} MCP servers from config`);
+        }
+        if (configData.ollama) {
+          // Routing rules are listed by printConfigInfo
+          const settings = Object.entries(configData.ollama).filter(([key]) => key !== 'routing');
+          console.log(`🦙 Loaded Ollama config: ${settings.map(([key, value]) => `${key}=${value}`).join(', ')}`);
+        }
+        if (configData.instructions) {
+          console.log(`📝 Loaded custom instructions (system: ${configData.instructions.system?.length || 0} chars)`);
         }
+
+        console.log(`✅ Successfully loaded config from: ${sourceConfigPath}`);
+        loaded = true;
       } catch (error) {
         console.error(`❌ Error loading config from ${sourceConfigPath}:`, error.message);
-        return false;
+        this.validationErrors = [{ file: sourceConfigPath, path: '', message: error.message }];
+        // Never replace a file we could not read with an empty config
+        this.config = {};
+        this.readOnly = true;
+      }
+    } else if (globalData) {
+      // The global config stands in for a missing project file; nothing is written until an edit
+      this.config = {};
+    } else {
+      console.log(`⚠️  No config file found at ${sourceConfigPath}. Using defaults (create one with "node cli.js init" or "node cli.js config import-claude").`);
+      this.config = this.createDefaultConfig();
+    }
+    if (!this.readOnly) console.log(`💾 Config will be saved to: ${this.configPath}`);
+
+    this.layers = this.buildLayers(globalData, this.readLayer(localPath));
+    this.layers.filter(layer => layer.path && layer.label !== 'project').forEach(layer =>
+      console.log(`📚 Using ${layer.label} config: ${layer.path}`));
+
+    // Report schema problems but keep loading, so nothing is lost on the next save
+    this.checkLayers(profile ?? this.getDefaultProfile());
+    if (this.validationErrors.length > 0) {
+      console.warn(`⚠️  ${this.validationErrors.length} problem(s) in the configuration:`);
+      formatErrors(this.validationErrors).forEach(line => console.warn(`   - ${line}`));
+    }
+    if (this.watchers) this.watch();
+    return loaded;
+  }
+
+  buildLayers(globalData, localData) {
+    return [
+      { label: 'default', path: null, data: this.createDefaultConfig() },
+      globalData && { label: 'global', path: GLOBAL_CONFIG_PATH, data: globalData },
+      { label: 'project', path: this.configPath, data: this.config },
+      localData && { label: 'local', path: localPathFor(this.configPath), data: localData }
+    ].filter(Boolean);
+  }
+
+  // Validate every layer, select the profile and validate the merged result into this.validationErrors
+  checkLayers(profile) {
+    for (const layer of this.layers.slice(1)) {
+      this.validationErrors.push(...validateConfig(layer.data, layerSchema).map(error => ({ file: layer.path, ...error })));
+    }
+
+    try {
+      this.useProfile(profile);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      this.validationErrors.push({ path: 'profile', message: error.message });
+      this.useProfile(null);
+    }
+
+    // The merged result must be complete (e.g. every server needs a command or url)
+    if (this.validationErrors.length === 0) {
+      this.validationErrors = this.validate(this.effective).map(error => ({ file: '(merged config)', ...error }));
+    }
+  }
+
+  /**
+   * Re-read the config files after they changed on disk. If a file does not
+   * parse or validate, the problems are reported (`invalid` event) and the running
+   * config is kept. Otherwise emits `changed` with the differences (see
+   * diffConfig) and returns them; null when nothing effective changed.
+   */
+  reload() {
+    const previous = { config: this.config, layers: this.layers, effective: this.effective, sources: this.sources, profile: this.profile };
+    this.validationErrors = [];
+
+    const projectData = fs.existsSync(this.configPath) ? this.readLayer(this.configPath) : this.config;
+    const globalData = this.readLayer(GLOBAL_CONFIG_PATH);
+    const localData = this.readLayer(localPathFor(this.configPath));
+    if (this.validationErrors.length === 0) {
+      this.config = projectData;
+      this.layers = this.buildLayers(globalData, localData);
+      this.checkLayers(this.profile);
+    }
+
+    if (this.validationErrors.length > 0) {
+      Object.assign(this, previous);
+      console.warn(`⚠️  Config change not applied, ${this.validationErrors.length} problem(s):`);
+      formatErrors(this.validationErrors).forEach(line => console.warn(`   - ${line}`));
+      this.emit('invalid', this.validationErrors);
+      return null;
+    }
+
+    const changes = diffConfig(previous.effective, this.effective);
+    if (changes) {
+      console.log(`🔄 Config reloaded (${describeChanges(changes)})`);
+      this.emit('changed', changes);
+    }
+    return changes;
+  }
+
+  // Reload whenever one of the config files (global, project, local) changes on disk
+  watch() {
+    this.unwatch();
+    const onChange = () => {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), 300);
+    };
+    this.watchers = [GLOBAL_CONFIG_PATH, this.configPath, localPathFor(this.configPath)];
+    // Polling survives editors (and saveConfig) replacing the file instead of writing in place
+    this.watchers.forEach(file => fs.watchFile(file, { interval: 1000 }, onChange));
+  }
+
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    (this.watchers || []).forEach(file => fs.unwatchFile(file));
+    this.watchers = null;
+  }
+
+  // Parse an optional extra layer (global / local); missing files are skipped
+  readLayer(layerPath) {
+    if (!fs.existsSync(layerPath)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(layerPath, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Error loading config from ${layerPath}:`, error.message);
+      this.validationErrors.push({ file: layerPath, path: '', message: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Select a profile (null for none) and rebuild the effective config from the
+   * loaded layers. Throws for a profile no layer defines.
+   */
+  useProfile(name) {
+    const sources = {};
+    const merged = {};
+    const layers = this.layers.length > 0
+      ? this.layers
+      : [{ label: 'default', data: this.createDefaultConfig() }, { label: 'project', data: this.config }];
+    for (const layer of layers) {
+      mergeLayer(merged, layer.data, layer.path ? `${layer.label}: ${layer.path}` : layer.label, sources);
+    }
+    const { profiles = {}, defaultProfile, ...effective } = merged;
+
+    if (name) {
+      if (!profiles[name]) {
+        throw new Error(`Unknown profile '${name}' (available: ${Object.keys(profiles).join(', ') || 'none'})`);
+      }
+      mergeLayer(effective, profiles[name], `profile ${name}`, sources);
+    }
+
+    this.profile = name || null;
+    this.effective = effective;
+    this.sources = sources;
+  }
+
+  // Recompute after an edit, keeping the active profile
+  refresh() {
+    const project = this.layers.find(layer => layer.label === 'project');
+    if (project) project.data = this.config;
+    this.useProfile(this.profile);
+  }
+
+  getProfiles() {
+    const names = new Set();
+    this.layers.forEach(layer => Object.keys(layer.data.profiles || {}).forEach(name => names.add(name)));
+    return [...names];
+  }
+
+  getDefaultProfile() {
+    return [...this.layers].reverse().find(layer => layer.data.defaultProfile)?.data.defaultProfile || null;
+  }
+
+  // Label of the layer an effective value came from ('ollama.host', 'mcpServers.weather', …)
+  getSource(keyPath) {
+    if (this.sources[keyPath]) return this.sources[keyPath];
+    const nested = Object.keys(this.sources).filter(key => key.startsWith(`${keyPath}.`));
+    return nested.length > 0 ? [...new Set(nested.map(key => this.sources[key]))].join(' + ') : null;
+  }
+
+  // Edits go to the project file: into the active profile's section when one is selected
+  editableSection() {
+    if (!this.profile) return this.config;
+    this.config.profiles ??= {};
+    return (this.config.profiles[this.profile] ??= {});
+  }
+
+  /**
+   * Load variables from a .env file into process.env. Variables that are
+   * already set in the environment win. Missing files are ignored.
+   */
+  loadEnvFile(envPath) {
+    if (!fs.existsSync(envPath)) return 0;
+
+    try {
+      const vars = parseEnvFile(fs.readFileSync(envPath, 'utf8'));
+      let loaded = 0;
+      for (const [name, value] of Object.entries(vars)) {
+        if (process.env[name] === undefined) {
+          process.env[name] = value;
+          loaded++;
+        }
       }
+      if (loaded > 0) console.log(`🔐 Loaded ${loaded} variable(s) from ${envPath}`);
+      return loaded;
+    } catch (error) {
+      console.error(`❌ Error reading ${envPath}:`, error.message);
+      return 0;
+    }
+  }
+
+  // Check a whole config (defaults to the effective one) against the schema; [] when valid
+  validate(config = this.effective) {
+    return validateConfig(config);
+  }
+
+  /**
+   * Check a config file without loading it: each layer on its own, then the
+   * merged result with the global and local files, as loadConfig would. Unreadable
+   * or malformed JSON is reported as a root error.
+   */
+  validateFile(filePath, profile = null) {
+    const check = new ConfigManager();
+    check.configPath = path.resolve(filePath);
+    if (!fs.existsSync(check.configPath)) {
+      return [{ file: check.configPath, path: '', message: 'File not found' }];
     }
+    const projectData = check.readLayer(check.configPath);
+    if (!projectData) return check.validationErrors;
 
-    console.log('⚠️  No config file found. Creating default configuration.');
-    console.log(`💾 Will save settings to: ${this.configPath}`);
-    await this.saveConfig();
-    return false;
+    check.config = projectData;
+    check.layers = check.buildLayers(check.readLayer(GLOBAL_CONFIG_PATH), check.readLayer(localPathFor(check.configPath)));
+    if (check.validationErrors.length === 0) check.checkLayers(profile ?? check.getDefaultProfile());
+    return check.validationErrors;
   }
 
+  // Resolve ${VAR} placeholders for use; this.config keeps them so saveConfig never writes secrets
+  resolve(value, where) {
+    return interpolate(value, process.env, where);
+  }
+
+  getResolvedOllamaHost() {
+    return this.resolve(this.effective.ollama.host, 'ollama.host');
+  }
+
+  /**
+   * Write the project config. The previous file is kept as <file>.bak and the
+   * new one is written to a temporary file first, then renamed into place, so
+   * a crash never leaves a half-written config.
+   */
   async saveConfig(configPath = null) {
     const savePath = configPath || this.configPath || path.resolve('mcp_config.json');
+
+    if (this.readOnly && !configPath) {
+      console.warn(`⚠️  Config is read-only, not saving to ${savePath}`);
+      return false;
+    }
     
+    const tempPath = `${savePath}.${process.pid}.tmp`;
     try {
-      fs.writeFileSync(savePath, JSON.stringify(this.config, null, 2));
+      if (fs.existsSync(savePath)) fs.copyFileSync(savePath, `${savePath}.bak`);
+      fs.writeFileSync(tempPath, JSON.stringify(this.config, null, 2));
+      fs.renameSync(tempPath, savePath);
       this.configPath = savePath;
       console.log(`✅ Config saved to: ${savePath}`);
       return true;
     } catch (error) {
+      fs.rmSync(tempPath, { force: true });
       console.error(`❌ Error saving config to ${savePath}:`, error.message);
       return false;
     }
   }
 
+  /**
+   * Copy MCP servers from a Claude Desktop config into the project config.
+   * Servers that already exist are kept. Returns { source, imported, skipped }.
+   */
+  importClaudeConfig(claudePath = null) {
+    const source = claudePath ? path.resolve(claudePath) : CLAUDE_CONFIG_PATHS.find(candidate => fs.existsSync(candidate));
+    if (!source || !fs.existsSync(source)) {
+      throw new Error(`No Claude Desktop config found${claudePath ? ` at ${source}` : ` (looked in ${CLAUDE_CONFIG_PATHS.join(', ')})`}`);
+    }
+
+    const claudeConfig = JSON.parse(fs.readFileSync(source, 'utf8'));
+    const servers = claudeConfig.mcpServers || claudeConfig.mcp?.servers || {};
+    const imported = [];
+    const skipped = [];
+    this.config.mcpServers ??= {};
+    for (const [name, serverConfig] of Object.entries(servers)) {
+      if (this.config.mcpServers[name]) {
+        skipped.push(name);
+      } else {
+        this.config.mcpServers[name] = serverConfig;
+        imported.push(name);
+      }
+    }
+    this.refresh();
+    return { source, imported, skipped };
+  }
+
   createDefaultConfig() {
     return {
       mcpServers: {},
       ollama: {
         host: 'http://localhost:11434',
-        defaultModel: 'llama3.2'
+        defaultModel: 'llama3.2',
+        maxToolIterations: 5,
+        maxParallelToolCalls: 4,
+        maxResourceChars: 20000,
+        historyToolResultTokens: 1000,
+        summarizeHistory: true
       },
       instructions: {
         system: 'You are a helpful AI assistant with access to various tools through MCP (Model Context Protocol) servers.',
@@ -128,31 +492,63 @@ export class ConfigManager {
   }
 
   getMCPServers() {
-    return this.config.mcpServers;
+    return this.effective.mcpServers;
+  }
+
+  // Workspace roots offered to MCP servers (paths or URIs); servers may override with their own "roots"
+  getRoots() {
+    return this.effective.roots || [];
   }
 
   getOllamaConfig() {
-    return this.config.ollama;
+    return this.effective.ollama;
   }
 
   getInstructions() {
-    return this.config.instructions;
+    return this.effective.instructions;
   }
 
   updateInstructions(newInstructions) {
-    this.config.instructions = { ...this.config.instructions, ...newInstructions };
+    const section = this.editableSection();
+    section.instructions = { ...section.instructions, ...newInstructions };
+    this.refresh();
   }
 
   addMCPServer(name, serverConfig) {
-    this.config.mcpServers[name] = serverConfig;
+    const section = this.editableSection();
+    section.mcpServers = { ...section.mcpServers, [name]: serverConfig };
+    this.refresh();
   }
 
   removeMCPServer(name) {
-    delete this.config.mcpServers[name];
+    delete this.config.mcpServers?.[name];
+    delete this.editableSection().mcpServers?.[name];
+    this.refresh();
+    if (this.getMCPServers()[name]) {
+      console.warn(`⚠️  ${name} is still defined in ${this.getSource(`mcpServers.${name}`)}`);
+    }
+  }
+
+  // Disabled servers stay configured but are not started
+  setServerDisabled(name, disabled) {
+    const section = this.editableSection();
+    section.mcpServers ??= {};
+    const entry = section.mcpServers[name] ??= {};
+    delete entry.disabled;
+    this.refresh();
+    // Only write the flag when a lower layer does not already give the wanted state
+    if (Boolean(this.getMCPServers()[name]?.disabled) !== disabled) {
+      entry.disabled = disabled;
+    } else if (Object.keys(entry).length === 0) {
+      delete section.mcpServers[name];
+    }
+    this.refresh();
   }
 
   updateOllamaConfig(newConfig) {
-    this.config.ollama = { ...this.config.ollama, ...newConfig };
+    const section = this.editableSection();
+    section.ollama = { ...section.ollama, ...newConfig };
+    this.refresh();
   }
 
   getConfigPath() {
@@ -160,16 +556,41 @@ export class ConfigManager {
   }
 
   printConfigInfo() {
+    const from = keyPath => {
+      const source = this.getSource(keyPath);
+      return source ? `  [${source}]` : '';
+    };
+    const servers = this.getMCPServers();
+
     console.log('\n📋 Current Configuration:');
     console.log(`Config file: ${this.configPath || 'Not saved'}`);
-    console.log(`MCP Servers: ${Object.keys(this.config.mcpServers).length}`);
-    console.log(`Ollama host: ${this.config.ollama.host}`);
-    console.log(`Default model: ${this.config.ollama.defaultModel}`);
+    this.layers.filter(layer => layer.path).forEach(layer => console.log(`  ${layer.label}: ${layer.path}`));
+    console.log(`Profile: ${this.profile || 'none'}${this.getProfiles().length ? ` (available: ${this.getProfiles().join(', ')})` : ''}`);
+    console.log(`MCP Servers: ${Object.keys(servers).length}`);
+    for (const key of ['host', 'defaultModel', 'maxToolIterations', 'maxParallelToolCalls', 'maxResourceChars',
+      'contextLength', 'maxToolResultTokens', 'historyToolResultTokens', 'summarizeHistory']) {
+      console.log(`Ollama ${key}: ${this.effective.ollama[key] ?? 'auto'}${from(`ollama.${key}`)}`);
+    }
+    for (const rule of this.effective.ollama.routing || []) {
+      const conditions = [rule.task === 'summary' ? 'summaries' : null, rule.match ? `/${rule.match}/i` : null,
+        rule.tools !== undefined ? (rule.tools ? 'tools likely' : 'no tools likely') : null].filter(Boolean);
+      console.log(`Ollama routing: ${conditions.join(', ') || 'every chat'} → ${rule.model}${from('ollama.routing')}`);
+    }
+    for (const key of ['system', 'followUp']) {
+      const text = this.effective.instructions?.[key] || '';
+      console.log(`Instructions ${key}: ${text.length > 60 ? `${text.slice(0, 60).replace(/\n/g, ' ')}…` : text.replace(/\n/g, ' ')}${from(`instructions.${key}`)}`);
+    }
+    if (this.getRoots().length > 0) {
+      console.log(`Roots: ${this.getRoots().map(root => root.uri || root).join(', ')}${from('roots')}`);
+    }
     
-    if (Object.keys(this.config.mcpServers).length > 0) {
+    if (Object.keys(servers).length > 0) {
       console.log('\n🔧 MCP Servers:');
-      for (const [name, config] of Object.entries(this.config.mcpServers)) {
-        console.log(`  - ${name}: ${config.command} ${config.args?.join(' ') || ''}`);
+      for (const [name, config] of Object.entries(servers)) {
+        const target = config.url
+          ? `${config.type} ${config.url}`
+          : `${config.command} ${config.args?.join(' ') || ''}`;
+        console.log(`  - ${name}: ${target}${config.disabled ? ' (disabled)' : ''}${from(`mcpServers.${name}`)}`);
       }
     }
   }
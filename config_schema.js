@@ -0,0 +1,197 @@
+import { z } from 'zod';
+
+// Schema for mcp_config.json. Objects are strict so a typo like "arg" for "args"
+// is reported instead of silently ignored.
+
+const positiveInt = z.number().int().positive();
+
+const rootSchema = z.union([
+  z.string().min(1),
+  z.object({ uri: z.string().min(1), name: z.string().optional() }).strict()
+]);
+
+const samplingSchema = z.object({
+  approval: z.enum(['ask', 'always', 'never']).optional(),
+  maxTokens: positiveInt.optional(),
+  maxRequestsPerMinute: positiveInt.optional(),
+  model: z.string().min(1).optional()
+}).strict();
+
+// Ollama generation options a request or routing rule may set
+export const modelOptionsSchema = z.object({
+  temperature: z.number().min(0).optional(),
+  top_p: z.number().min(0).max(1).optional(),
+  top_k: positiveInt.optional(),
+  seed: z.number().int().optional(),
+  num_ctx: positiveInt.optional(),
+  num_predict: z.number().int().optional(),
+  repeat_penalty: z.number().optional(),
+  stop: z.array(z.string()).optional()
+}).strict();
+
+function isRegExp(pattern) {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// First matching rule picks the model when a request names none
+const routingRuleSchema = z.object({
+  model: z.string().min(1),
+  task: z.enum(['chat', 'summary']).optional(), // default chat
+  match: z.string().min(1).refine(isRegExp, 'Not a valid regular expression').optional(),
+  tools: z.boolean().optional(), // the message mentions an available tool
+  options: modelOptionsSchema.optional()
+}).strict();
+
+// Server fields alone: a layer (local override, profile) may set just some of them
+const serverFields = z.object({
+  type: z.enum(['stdio', 'http', 'sse']).optional(),
+  command: z.string().min(1).optional(),
+  args: z.array(z.string()).optional(),
+  env: z.record(z.string()).optional(),
+  url: z.string().min(1).optional(),
+  headers: z.record(z.string()).optional(),
+  disabled: z.boolean().optional(),
+  roots: z.array(rootSchema).optional(),
+  timeoutMs: positiveInt.optional(),
+  toolTimeouts: z.record(positiveInt).optional(),
+  sampling: samplingSchema.optional()
+}).strict();
+
+export const serverSchema = serverFields.superRefine((server, ctx) => {
+  const type = server.type || 'stdio';
+  if (type === 'stdio' && !server.command) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['command'],
+      message: server.url
+        ? 'Required for stdio servers (add "type": "http" or "sse" to use the url)'
+        : 'Required for stdio servers'
+    });
+  }
+  if (type !== 'stdio' && !server.url) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['url'], message: `Required for ${type} servers` });
+  }
+});
+
+// The sections a profile can override
+function sections(server) {
+  return {
+    mcpServers: z.record(server).optional(),
+    roots: z.array(rootSchema).optional(),
+    ollama: z.object({
+      host: z.string().optional(), // empty means the ollama default
+      defaultModel: z.string().min(1).optional(),
+      maxToolIterations: positiveInt.optional(),
+      maxParallelToolCalls: positiveInt.optional(),
+      maxResourceChars: positiveInt.optional(),
+      contextLength: positiveInt.optional(), // sent as num_ctx; unset: Ollama's own setting
+      maxToolResultTokens: positiveInt.optional(),
+      historyToolResultTokens: positiveInt.optional(),
+      summarizeHistory: z.boolean().optional(),
+      routing: z.array(routingRuleSchema).optional()
+    }).strict().optional(),
+    instructions: z.object({
+      system: z.string().optional(),
+      followUp: z.string().optional()
+    }).strict().optional()
+  };
+}
+
+function makeConfigSchema(server) {
+  return z.object({
+    ...sections(server),
+    profiles: z.record(z.object(sections(serverFields)).strict()).optional(),
+    defaultProfile: z.string().min(1).optional()
+  }).strict();
+}
+
+// A complete (merged) configuration
+export const configSchema = makeConfigSchema(serverSchema);
+
+// One file of a layered configuration: server entries may be partial overrides
+export const layerSchema = makeConfigSchema(serverFields);
+
+// Strip optional/effects wrappers to reach the underlying schema
+function unwrap(schema) {
+  while (schema instanceof z.ZodOptional || schema instanceof z.ZodEffects) {
+    schema = schema instanceof z.ZodOptional ? schema.unwrap() : schema.innerType();
+  }
+  return schema;
+}
+
+// Keys allowed by the object schema at `path`, for "did you mean" hints
+function knownKeys(schema, path) {
+  for (const key of path) {
+    schema = unwrap(schema);
+    if (schema instanceof z.ZodObject) schema = schema.shape[key];
+    else if (schema instanceof z.ZodRecord) schema = schema.valueSchema;
+    else if (schema instanceof z.ZodArray) schema = schema.element;
+    else if (schema instanceof z.ZodUnion) schema = schema.options.find(option => option instanceof z.ZodObject);
+    if (!schema) return [];
+  }
+  schema = unwrap(schema);
+  if (schema instanceof z.ZodUnion) schema = schema.options.find(option => option instanceof z.ZodObject);
+  return schema instanceof z.ZodObject ? Object.keys(schema.shape) : [];
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+function suggestKey(key, candidates) {
+  const lower = key.toLowerCase();
+  return candidates.find(candidate => candidate.toLowerCase() === lower)
+    || candidates.find(candidate => editDistance(lower, candidate.toLowerCase()) <= 2);
+}
+
+// mcpServers.weather.args[0]
+export function formatPath(path) {
+  return path.reduce((text, key) =>
+    typeof key === 'number' ? `${text}[${key}]` : (text ? `${text}.${key}` : String(key)), '');
+}
+
+/**
+ * Validate a config object (or a single server entry with `schema = serverSchema`).
+ * Returns a list of { path, message }; empty when the config is valid.
+ */
+export function validateConfig(config, schema = configSchema, basePath = []) {
+  const result = schema.safeParse(config);
+  if (result.success) return [];
+
+  const errors = [];
+  for (const issue of result.error.issues) {
+    const issuePath = [...basePath, ...issue.path];
+    if (issue.code === z.ZodIssueCode.unrecognized_keys) {
+      const candidates = knownKeys(schema, issue.path);
+      for (const key of issue.keys) {
+        const hint = suggestKey(key, candidates);
+        errors.push({
+          path: formatPath([...issuePath, key]),
+          message: hint ? `Unknown key (did you mean "${hint}"?)` : `Unknown key (expected one of: ${candidates.join(', ')})`
+        });
+      }
+    } else {
+      errors.push({ path: formatPath(issuePath), message: issue.message });
+    }
+  }
+  return errors;
+}
+
+export function formatErrors(errors) {
+  return errors.map(error => `${error.file ? `${error.file}: ` : ''}${error.path || '(root)'}: ${error.message}`);
+}
@@ -0,0 +1,242 @@
+// conversation_export.js
+import path from 'path';
+import { z } from 'zod';
+import { validateConfig, formatErrors } from './config_schema.js';
+import { formatToolResult } from './ollama_integration.js';
+
+// Marks our JSON exports, so an import can tell them from other JSON files
+const EXPORT_FORMAT = 'ollamaton-conversation';
+const EXPORT_VERSION = 1;
+
+// Exports may come from someone else: check every field that is rendered or sent to the model
+const stepSchema = z.object({
+  tool: z.string().min(1),
+  args: z.record(z.unknown()).nullish(),
+  error: z.string().nullish(),
+  durationMs: z.number().nullish(),
+  iteration: z.number().int().nullish()
+}).passthrough();
+
+const transcriptEntrySchema = z.object({
+  role: z.enum(['user', 'assistant']),
+  content: z.string(),
+  at: z.string().optional(),
+  attachments: z.array(z.string()).optional(),
+  model: z.string().optional(),
+  durationMs: z.number().optional(),
+  tools: z.array(z.string()).optional(),
+  steps: z.array(stepSchema).optional()
+}).passthrough();
+
+const historyMessageSchema = z.object({
+  role: z.enum(['system', 'user', 'assistant', 'tool']),
+  content: z.string(),
+  tool_calls: z.array(z.object({
+    function: z.object({ name: z.string().min(1), arguments: z.record(z.unknown()).optional() }).passthrough()
+  }).passthrough()).optional(),
+  tool_name: z.string().optional()
+}).passthrough();
+
+const exportSchema = z.object({
+  title: z.string().min(1).optional(),
+  createdAt: z.string().optional(),
+  updatedAt: z.string().optional(),
+  model: z.string().nullish(),
+  history: z.array(historyMessageSchema).optional(),
+  transcript: z.array(transcriptEntrySchema)
+}).passthrough();
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown' },
+  json: { extension: 'json', contentType: 'application/json' },
+  jsonl: { extension: 'jsonl', contentType: 'application/x-ndjson' }
+};
+
+// Export format for a file name: .md → markdown, .jsonl → jsonl, anything else → json
+export function formatForFile(file) {
+  const extension = path.extname(file).slice(1).toLowerCase();
+  if (extension === 'md' || extension === 'markdown') return 'markdown';
+  return extension === 'jsonl' ? 'jsonl' : 'json';
+}
+
+// A file name for downloads, from the conversation title
+export function exportFileName(conversation, format) {
+  const slug = conversation.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50);
+  return `${slug || 'conversation'}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Render a conversation (see conversation_store.js) as
+ *   markdown – readable transcript with tool calls, arguments and raw results
+ *   json     – the full conversation, importable with parseConversation()
+ *   jsonl    – one fine-tuning example per line: { messages: [...] } with
+ *              OpenAI-style tool_calls and tool messages
+ * `systemPrompt` is put in front of the JSONL messages.
+ */
+export function exportConversation(conversation, format, { systemPrompt = null } = {}) {
+  switch (format) {
+    case 'markdown':
+      return toMarkdown(conversation);
+    case 'json':
+      return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        ...conversation
+      }, null, 2);
+    case 'jsonl':
+      return JSON.stringify({ messages: toTrainingMessages(conversation, systemPrompt) }) + '\n';
+    default:
+      throw new Error(`Unknown export format '${format}' (expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+}
+
+// Read the text of a JSON export back into a conversation
+export function parseConversation(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a JSON conversation export: ${error.message}`);
+  }
+  return conversationFromExport(data);
+}
+
+/**
+ * Check a parsed JSON export and return the conversation in it. Exports
+ * without a `history` (e.g. edited by hand) get one rebuilt from the transcript.
+ */
+export function conversationFromExport(data) {
+  if (data?.format !== EXPORT_FORMAT) {
+    throw new Error(`Not a conversation export (expected "format": "${EXPORT_FORMAT}")`);
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(`Conversation export version ${data.version} is newer than this version supports (${EXPORT_VERSION})`);
+  }
+  const errors = validateConfig(data, exportSchema);
+  if (errors.length > 0) {
+    throw new Error(`Invalid conversation export: ${formatErrors(errors).join('; ')}`);
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: data.id,
+    title: data.title || 'Imported chat',
+    createdAt: data.createdAt || now,
+    updatedAt: data.updatedAt || now,
+    ...(data.model ? { model: data.model } : {}),
+    history: Array.isArray(data.history) ? data.history : historyFromTranscript(data.transcript),
+    transcript: data.transcript
+  };
+}
+
+// A step's result as text, like the model gets it
+function toolResultText(step) {
+  return step.error ? `Error: ${step.error}` : formatToolResult(step.result);
+}
+
+// Steps grouped by the model reply that requested them
+function toolRounds(steps) {
+  const rounds = new Map();
+  for (const step of steps) {
+    const key = step.iteration ?? rounds.size;
+    if (!rounds.has(key)) rounds.set(key, []);
+    rounds.get(key).push(step);
+  }
+  return [...rounds.values()];
+}
+
+// Model context in the shape OllamaWithMCP keeps it
+function historyFromTranscript(transcript) {
+  const history = [];
+  for (const entry of transcript) {
+    if (entry.role !== 'assistant') {
+      history.push({ role: 'user', content: entry.content });
+      continue;
+    }
+    for (const round of toolRounds(entry.steps || [])) {
+      history.push({
+        role: 'assistant',
+        content: '',
+        tool_calls: round.map(step => ({ function: { name: step.tool, arguments: step.args || {} } }))
+      });
+      round.forEach(step => history.push({ role: 'tool', content: toolResultText(step), tool_name: step.tool }));
+    }
+    history.push({ role: 'assistant', content: entry.content });
+  }
+  return history;
+}
+
+function toTrainingMessages(conversation, systemPrompt) {
+  const messages = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+  conversation.transcript.forEach((entry, turn) => {
+    if (entry.role !== 'assistant') {
+      messages.push({ role: 'user', content: entry.content });
+      return;
+    }
+    toolRounds(entry.steps || []).forEach((round, roundIndex) => {
+      const ids = round.map((step, index) => `call_${turn}_${roundIndex}_${index}`);
+      messages.push({
+        role: 'assistant',
+        content: null,
+        tool_calls: round.map((step, index) => ({
+          id: ids[index],
+          type: 'function',
+          function: { name: step.tool, arguments: JSON.stringify(step.args || {}) }
+        }))
+      });
+      round.forEach((step, index) => messages.push({ role: 'tool', tool_call_id: ids[index], content: toolResultText(step) }));
+    });
+    messages.push({ role: 'assistant', content: entry.content });
+  });
+  return messages;
+}
+
+// A code fence longer than any backtick run inside the text
+function fence(text, language = '') {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const marks = '`'.repeat(longest + 1);
+  return `${marks}${language}\n${text}\n${marks}`;
+}
+
+function formatDuration(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`;
+}
+
+function toMarkdown(conversation) {
+  const lines = [
+    `# ${conversation.title}`,
+    '',
+    `_Started ${conversation.createdAt}, last message ${conversation.updatedAt}_`
+  ];
+
+  for (const entry of conversation.transcript) {
+    lines.push('');
+    if (entry.role !== 'assistant') {
+      lines.push(`## 🧑 User${entry.at ? ` · ${entry.at}` : ''}`, '', entry.content);
+      if (entry.attachments?.length) lines.push('', `📎 Attached: ${entry.attachments.join(', ')}`);
+      continue;
+    }
+
+    const details = [entry.model, entry.durationMs !== undefined ? formatDuration(entry.durationMs) : null, entry.at].filter(Boolean);
+    lines.push(`## 🤖 Assistant${details.length ? ` · ${details.join(' · ')}` : ''}`);
+    for (const step of entry.steps || []) {
+      lines.push(
+        '',
+        `### 🔧 ${step.tool}${step.durationMs !== undefined ? ` (${formatDuration(step.durationMs)})` : ''}`,
+        '',
+        'Arguments:',
+        '',
+        fence(JSON.stringify(step.args ?? {}, null, 2), 'json'),
+        ''
+      );
+      if (step.error) {
+        lines.push(`❌ Error: ${step.error}`);
+      } else {
+        lines.push('Result:', '', fence(JSON.stringify(step.result ?? null, null, 2), 'json'));
+      }
+    }
+    lines.push('', ...(entry.steps?.length ? ['**Answer:**', ''] : []), entry.content);
+  }
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,174 @@
+// conversation_store.js
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const DEFAULT_TITLE = 'New chat';
+const TITLE_LENGTH = 60;
+
+// A new, empty conversation (not yet stored anywhere)
+export function createConversation(title = null) {
+  const now = new Date().toISOString();
+  return {
+    id: randomUUID(),
+    title: title || DEFAULT_TITLE,
+    createdAt: now,
+    updatedAt: now,
+    history: [],
+    transcript: []
+  };
+}
+
+/**
+ * Add a finished turn to the transcript (the chat already updated the history).
+ * The assistant entry keeps the model, timings and every tool call with its
+ * arguments and raw result, for display and export. The first message names
+ * an untitled conversation.
+ */
+export function addTurn(conversation, user, result) {
+  const at = new Date().toISOString();
+  if (conversation.transcript.length === 0 && conversation.title === DEFAULT_TITLE) {
+    const text = user.content.replace(/\s+/g, ' ').trim();
+    conversation.title = text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1)}…` : text || DEFAULT_TITLE;
+  }
+
+  // The user's message was sent when the turn started
+  const sentAt = result.durationMs !== undefined ? new Date(Date.parse(at) - result.durationMs).toISOString() : at;
+  conversation.transcript.push({ role: 'user', ...user, at: sentAt });
+  const reply = result.finalResponse ?? result.response;
+  if (reply !== null && reply !== undefined) {
+    const steps = (result.steps || []).map(step => ({
+      tool: step.tool,
+      args: step.args,
+      result: step.result,
+      error: step.error,
+      durationMs: step.durationMs,
+      iteration: step.iteration
+    }));
+    const tools = [...new Set(steps.map(step => step.tool))];
+    conversation.transcript.push({
+      role: 'assistant',
+      content: reply,
+      ...(result.model ? { model: result.model } : {}),
+      ...(result.durationMs !== undefined ? { durationMs: result.durationMs } : {}),
+      ...(tools.length ? { tools, steps } : {}),
+      at
+    });
+  }
+  conversation.updatedAt = at;
+}
+
+/**
+ * Chat conversations of the web GUI, one JSON file per conversation in `dir`:
+ *   { id, title, createdAt, updatedAt, history: [...], transcript: [...] }
+ * `history` is the context the model gets on the next turn (compacted by
+ * OllamaWithMCP); `transcript` keeps every turn for display.
+ */
+export class ConversationStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.cache = new Map(); // id -> conversation
+  }
+
+  filePath(id) {
+    // ids end up in file names, so only accept what create() generates
+    if (!/^[A-Za-z0-9-]+$/.test(id)) {
+      throw new Error(`Invalid conversation id '${id}'`);
+    }
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  // Summaries of every stored conversation, most recently used first
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    const summaries = [];
+    for (const file of fs.readdirSync(this.dir).filter(name => name.endsWith('.json'))) {
+      // A stray or broken file is skipped, not allowed to hide every other conversation
+      try {
+        const conversation = this.get(path.basename(file, '.json'));
+        if (!conversation) continue;
+        const { id, title, createdAt, updatedAt, transcript } = conversation;
+        if (typeof updatedAt !== 'string' || !Array.isArray(transcript)) {
+          throw new Error('Not a conversation');
+        }
+        summaries.push({ id, title, createdAt, updatedAt, messages: transcript.length });
+      } catch (error) {
+        console.warn(`⚠️  Skipping ${path.join(this.dir, file)}: ${error.message}`);
+      }
+    }
+    return summaries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  // The conversation with this id, or null
+  get(id) {
+    if (this.cache.has(id)) return this.cache.get(id);
+
+    const file = this.filePath(id);
+    if (!fs.existsSync(file)) return null;
+    try {
+      const conversation = JSON.parse(fs.readFileSync(file, 'utf8'));
+      this.cache.set(id, conversation);
+      return conversation;
+    } catch (error) {
+      console.error(`❌ Error reading conversation ${file}:`, error.message);
+      return null;
+    }
+  }
+
+  create(title = null) {
+    const conversation = createConversation(title);
+    this.save(conversation);
+    return conversation;
+  }
+
+  // Store an imported conversation under a new id, so it never replaces an existing one
+  import(conversation) {
+    const imported = { ...conversation, id: randomUUID() };
+    this.save(imported);
+    return imported;
+  }
+
+  rename(id, title) {
+    const conversation = this.get(id);
+    if (!conversation) return null;
+    conversation.title = title;
+    this.save(conversation);
+    return conversation;
+  }
+
+  delete(id) {
+    const file = this.filePath(id);
+    this.cache.delete(id);
+    if (!fs.existsSync(file)) return false;
+    fs.rmSync(file);
+    return true;
+  }
+
+  // Forget the model context and the transcript, keeping id and title
+  clear(id) {
+    const conversation = this.get(id);
+    if (!conversation) return null;
+    conversation.history.length = 0;
+    conversation.transcript.length = 0;
+    this.save(conversation);
+    return conversation;
+  }
+
+  // Add a finished turn (see addTurn) and persist the conversation
+  recordTurn(conversation, user, result) {
+    addTurn(conversation, user, result);
+    this.save(conversation);
+  }
+
+  // Written to a temporary file and renamed, so a crash never leaves half a conversation
+  save(conversation) {
+    conversation.updatedAt = new Date().toISOString();
+    fs.mkdirSync(this.dir, { recursive: true });
+    const file = this.filePath(conversation.id);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(conversation, null, 2));
+    fs.renameSync(tempFile, file);
+    this.cache.set(conversation.id, conversation);
+  }
+}
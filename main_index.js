@@ -1,15 +1,26 @@
 import { MCPManager } from './mcp_client.js';
 import { OllamaWithMCP } from './ollama_integration.js';
 import { ConfigManager } from './config.js';
+import { validateConfig, modelOptionsSchema, formatErrors } from './config_schema.js';
 import express from 'express';
 
+// Aborts the chat turn / tool call when the HTTP client disconnects early
+function disconnectSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
 async function main() {
   console.log('🚀 Starting Universal Ollama MCP Client...');
   
   // Initialize configuration
   const configManager = new ConfigManager();
   const configPath = process.argv.find(arg => arg.startsWith('--config='))?.split('=')[1];
-  await configManager.loadConfig(configPath);
+  const profile = process.argv.find(arg => arg.startsWith('--profile='))?.split('=')[1];
+  await configManager.loadConfig(configPath, profile, { readOnly: process.argv.includes('--read-only') });
   configManager.printConfigInfo();
   
   // Initialize MCP Manager
@@ -18,6 +29,14 @@ async function main() {
   
   // Initialize Ollama integration
   const ollamaClient = new OllamaWithMCP(mcpManager, configManager);
+
+  // Hand edits of the config files apply without a restart
+  configManager.on('changed', async changes => {
+    ollamaClient.applyConfigChanges(changes);
+    await mcpManager.applyConfigChanges(changes).catch(error =>
+      console.error('❌ Error applying config changes:', error.message));
+  });
+  configManager.watch();
   
   // Test the integration
   console.log('\n📋 Available tools:', mcpManager.getAvailableTools());
@@ -26,11 +45,16 @@ async function main() {
   const app = express();
   app.use(express.json());
   
-  // Chat endpoint
+  // Chat endpoint: { message, model?, options? }; without a model the configured
+  // default (or a routing rule) answers
   app.post('/chat', async (req, res) => {
     try {
-      const { message, model = 'llama3.2' } = req.body;
-      const result = await ollamaClient.chat(message, model);
+      const { message, model = null, options = {} } = req.body;
+      const optionErrors = validateConfig(options, modelOptionsSchema, ['options']);
+      if (optionErrors.length) {
+        return res.status(400).json({ error: `Invalid options: ${formatErrors(optionErrors).join('; ')}`, errors: optionErrors });
+      }
+      const result = await ollamaClient.chat(message, model, { signal: disconnectSignal(res), modelOptions: options });
       res.json(result);
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -50,7 +74,7 @@ async function main() {
   app.post('/test-tool', async (req, res) => {
     try {
       const { tool, args = {} } = req.body;
-      const result = await mcpManager.callTool(tool, args);
+      const result = await mcpManager.callTool(tool, args, { signal: disconnectSignal(res) });
       res.json({ result });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -105,7 +129,9 @@ async function runInteractiveMode(ollamaClient, mcpManager) {
       const result = await ollamaClient.chat(input);
       
       if (result.toolUsed) {
-        console.log(`🔧 Tool used: ${result.toolUsed}`);
+        for (const step of result.steps) {
+          console.log(`🔧 Tool used: ${step.tool} ${JSON.stringify(step.args)}${step.error ? ` (failed: ${step.error})` : ''}`);
+        }
         console.log('📊 Final response:', result.finalResponse);
       } else if (result.error) {
         console.log('❌ Error:', result.error);
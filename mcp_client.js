@@ -1,12 +1,118 @@
 import { Client } from "@modelcontextprotocol/sdk/client/index.js";
 import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
+import {
+  ToolListChangedNotificationSchema,
+  ResourceListChangedNotificationSchema,
+  PromptListChangedNotificationSchema,
+  CreateMessageRequestSchema,
+  ListRootsRequestSchema,
+  ElicitRequestSchema,
+  McpError,
+  ErrorCode
+} from "@modelcontextprotocol/sdk/types.js";
+import { UriTemplate } from "@modelcontextprotocol/sdk/shared/uriTemplate.js";
+import { EventEmitter } from "events";
+import path from "path";
+import { pathToFileURL } from "url";
+import { validateConfig, serverSchema, formatErrors } from "./config_schema.js";
 
-export class MCPManager {
+// Health monitoring
+const PING_INTERVAL_MS = 30000;   // how often connected servers are pinged
+const PING_TIMEOUT_MS = 5000;
+const MAX_PING_FAILURES = 2;      // consecutive failures before a server is restarted
+const RECONNECT_BASE_MS = 1000;   // backoff: 1s, 2s, 4s … capped at RECONNECT_MAX_MS
+const RECONNECT_MAX_MS = 60000;
+
+// Tool calls; override per server with "timeoutMs" or per tool with "toolTimeouts"
+const DEFAULT_TOOL_TIMEOUT_MS = 60000;
+
+// Sampling defaults, overridable per server with a "sampling" block in its config
+const SAMPLING_DEFAULTS = {
+  approval: 'ask',             // ask | always | never
+  maxTokens: 1024,             // cap on the server's requested maxTokens
+  maxRequestsPerMinute: 10
+};
+
+function newServerStatus() {
+  return { state: 'connecting', attempts: 0, pingFailures: 0, lastError: null, lastPingAt: null, timer: null, samplingTimes: [] };
+}
+
+// Roots come from config as paths or file:// URIs (".", "/srv/data", { uri, name });
+// MCP only allows file:// roots, so anything else is skipped
+function toRoot(entry) {
+  const { uri, name } = typeof entry === 'string' ? { uri: entry } : entry;
+  if (uri.startsWith('file://')) return { uri, ...(name ? { name } : {}) };
+  if (/^[a-z][\w+.-]*:\/\//i.test(uri)) {
+    console.warn(`⚠️  Ignoring root ${uri}: roots must be paths or file:// URIs`);
+    return null;
+  }
+  const absolute = path.resolve(uri);
+  return { uri: pathToFileURL(absolute).href, name: name || path.basename(absolute) };
+}
+
+/**
+ * Check and coerce an elicitation answer against the server's flat schema
+ * (string / number / integer / boolean / enum properties). Throws on invalid input.
+ */
+export function normalizeElicitationContent(schema, content = {}) {
+  const result = {};
+  for (const [key, prop] of Object.entries(schema.properties || {})) {
+    let value = content[key];
+    if (value === undefined || value === '') {
+      if (schema.required?.includes(key)) throw new Error(`'${key}' is required`);
+      continue;
+    }
+
+    if (prop.type === 'boolean') {
+      value = typeof value === 'boolean' ? value : /^(true|yes|y|1)$/i.test(String(value));
+    } else if (prop.type === 'number' || prop.type === 'integer') {
+      value = Number(value);
+      if (Number.isNaN(value) || (prop.type === 'integer' && !Number.isInteger(value))) {
+        throw new Error(`'${key}' must be ${prop.type === 'integer' ? 'an integer' : 'a number'}`);
+      }
+      if (prop.minimum !== undefined && value < prop.minimum) throw new Error(`'${key}' must be at least ${prop.minimum}`);
+      if (prop.maximum !== undefined && value > prop.maximum) throw new Error(`'${key}' must be at most ${prop.maximum}`);
+    } else {
+      value = String(value);
+      if (prop.enum && !prop.enum.includes(value)) throw new Error(`'${key}' must be one of: ${prop.enum.join(', ')}`);
+      if (prop.minLength !== undefined && value.length < prop.minLength) throw new Error(`'${key}' must be at least ${prop.minLength} characters`);
+      if (prop.maxLength !== undefined && value.length > prop.maxLength) throw new Error(`'${key}' must be at most ${prop.maxLength} characters`);
+    }
+    result[key] = value;
+  }
+  return result;
+}
+
+// Remove every entry of a registry map (tools / resources / templates / prompts) that belongs to a server
+function forgetServerEntries(map, serverName) {
+  for (const [key, info] of map) {
+    if (info.serverName === serverName) map.delete(key);
+  }
+}
+
+/**
+ * Events:
+ *   'toolsChanged'     { server } – a server's tool list was (re)loaded
+ *   'resourcesChanged' { server } – a server's resources or resource templates were (re)loaded
+ *   'promptsChanged'   { server } – a server's prompt list was (re)loaded
+ */
+export class MCPManager extends EventEmitter {
   constructor(configManager) {
-    this.clients = new Map();    // serverName -> Client
-    this.tools = new Map();      // toolName   -> { client, serverName, tool }
+    super();
+    this.clients = new Map();    // serverName -> Client (live connections only)
+    this.servers = new Map();    // serverName -> { config, state, lastError, attempts, … }
+    this.tools = new Map();      // server.tool -> { client, serverName, tool }
     this.resources = new Map();  // uri        -> { client, serverName, resource }
+    this.resourceTemplates = new Map(); // server:uriTemplate -> { client, serverName, template, matcher }
+    this.prompts = new Map();    // server.prompt -> { client, serverName, prompt }
     this.configManager = configManager;
+    this.healthTimer = null;
+    this.closing = false;
+    this.samplingHandler = null;   // (serverName, params, { signal }) -> CreateMessageResult
+    this.samplingApprover = null;  // ({ server, params }) -> Promise<boolean>
+    this.elicitationHandler = null; // ({ server, message, requestedSchema }) -> Promise<{ action, content }>
   }
 
   async initializeServers() {
@@ -20,129 +126,611 @@ export class MCPManager {
     console.log(`🔧 Initializing ${Object.keys(mcpServers).length} MCP servers...`);
 
     for (const [name, config] of Object.entries(mcpServers)) {
+      if (config.disabled) {
+        this.servers.set(name, { ...newServerStatus(), config, state: 'disabled' });
+        console.log(`⏸️  Skipping disabled MCP server ${name}`);
+        continue;
+      }
       await this.connectServer(name, config);
     }
 
     console.log('✅ MCP servers initialization complete');
     await this.loadAllTools();
     await this.loadAllResources();
+    await this.loadAllPrompts();
+    this.startHealthChecks();
+  }
+
+  /**
+   * Build the transport for a server entry:
+   *   { command, args, env }                 – local process over stdio (default)
+   *   { type: "http", url, headers }         – Streamable HTTP
+   *   { type: "sse",  url, headers }         – legacy HTTP+SSE
+   * Any string may contain ${VAR} / ${VAR:-default} environment placeholders.
+   */
+  createTransport(name, rawConfig) {
+    // ${VAR} placeholders are resolved only here, right before use
+    const config = this.configManager.resolve(rawConfig, `mcpServers.${name}`);
+    const type = config.type || 'stdio';
+
+    switch (type) {
+      case 'stdio':
+        return new StdioClientTransport({
+          command: config.command,
+          args: config.args,
+          env: { ...process.env, ...config.env }
+        });
+      case 'http':
+        return new StreamableHTTPClientTransport(new URL(config.url), {
+          requestInit: { headers: config.headers || {} }
+        });
+      case 'sse':
+        return new SSEClientTransport(new URL(config.url), {
+          requestInit: { headers: config.headers || {} }
+        });
+      default:
+        throw new Error(`Unknown transport type '${type}' for server ${name} (expected stdio, http or sse)`);
+    }
   }
 
+  // Connect one server; on failure it is marked dead and retried with backoff.
+  // Config errors (an unset ${VAR}, a bad URL) are reported once and not retried.
   async connectServer(name, config) {
+    const status = this.servers.get(name) ?? newServerStatus();
+    status.config = config;
+    status.state = 'connecting';
+    this.servers.set(name, status);
+
+    let transport;
     try {
-      const transport = new StdioClientTransport({
-        command: config.command,
-        args: config.args,
-        env: { ...process.env, ...config.env }
-      });
+      transport = this.createTransport(name, config);
+    } catch (error) {
+      console.error(`❌ Invalid config for ${name} server:`, error.message);
+      Object.assign(status, { state: 'dead', lastError: `Config error: ${error.message}` });
+      return null;
+    }
 
+    try {
       const client = new Client(
         { name: `ollama-${name}-client`, version: "1.0.0" },
-        { capabilities: { tools: {} } }
+        { capabilities: { tools: {}, sampling: {}, roots: { listChanged: true }, elicitation: {} } }
       );
+      client.onclose = () => this.handleDisconnect(name, client);
+
+      // Servers may ask the local model for completions (sampling/createMessage)
+      client.setRequestHandler(CreateMessageRequestSchema, (request, extra) =>
+        this.handleSamplingRequest(name, request.params, extra));
+
+      // Workspace roots: the server's own "roots" entry, else the global one
+      client.setRequestHandler(ListRootsRequestSchema, () => ({ roots: this.getServerRoots(name) }));
+
+      // Servers may ask the user for structured input (elicitation/create)
+      client.setRequestHandler(ElicitRequestSchema, request => this.handleElicitation(name, request.params));
+
+      // Servers announce list changes; only that server's entries are reloaded
+      client.setNotificationHandler(ToolListChangedNotificationSchema, () => this.loadServerTools(name, client));
+      client.setNotificationHandler(ResourceListChangedNotificationSchema, () => this.loadServerResources(name, client));
+      client.setNotificationHandler(PromptListChangedNotificationSchema, () => this.loadServerPrompts(name, client));
 
       await client.connect(transport);
       this.clients.set(name, client);
+      Object.assign(status, { state: 'ready', attempts: 0, pingFailures: 0, lastError: null });
       console.log(`Connected to ${name} MCP server`);
+      return client;
     } catch (error) {
       console.error(`Failed to connect to ${name} server:`, error.message);
+      Object.assign(status, { state: 'dead', lastError: error.message });
+      this.scheduleReconnect(name);
+      return null;
     }
   }
 
-  async loadAllTools() {
-    for (const [serverName, client] of this.clients) {
+  // Called by the SDK when a transport closes (e.g. the server process crashed)
+  handleDisconnect(name, client) {
+    if (this.closing || this.clients.get(name) !== client) return;
+
+    console.warn(`⚠️  Lost connection to ${name} MCP server`);
+    const status = this.servers.get(name);
+    this.dropServer(name);
+    Object.assign(status, { state: 'dead', lastError: status.lastError || 'Connection closed' });
+    this.scheduleReconnect(name);
+  }
+
+  scheduleReconnect(name) {
+    const status = this.servers.get(name);
+    if (this.closing || !status || status.timer) return;
+
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** status.attempts, RECONNECT_MAX_MS);
+    status.attempts++;
+    console.log(`🔁 Reconnecting to ${name} in ${delay / 1000}s (attempt ${status.attempts})`);
+
+    status.timer = setTimeout(async () => {
+      status.timer = null;
+      const client = await this.connectServer(name, status.config);
+      if (client) {
+        // Tools may have changed while the server was down
+        await this.loadServerTools(name, client);
+        await this.loadServerResources(name, client);
+        await this.loadServerPrompts(name, client);
+      }
+    }, delay);
+    status.timer.unref?.();
+  }
+
+  /* ---------------------------------------------------------------------
+   * Runtime management of single servers. These update the in-memory config
+   * through the ConfigManager; persisting it (saveConfig) is up to the caller.
+   * ------------------------------------------------------------------- */
+
+  getServerConfig(name) {
+    const config = this.configManager.getMCPServers()[name];
+    if (!config) {
+      throw new Error(`MCP server '${name}' is not configured`);
+    }
+    return config;
+  }
+
+  async addServer(name, config) {
+    if (this.configManager.getMCPServers()[name]) {
+      throw new Error(`MCP server '${name}' already exists`);
+    }
+    const errors = validateConfig(config, serverSchema, ['mcpServers', name]);
+    if (errors.length > 0) {
+      throw new Error(`Invalid server config: ${formatErrors(errors).join('; ')}`);
+    }
+    this.configManager.addMCPServer(name, config);
+    if (config.disabled) {
+      this.servers.set(name, { ...newServerStatus(), config, state: 'disabled' });
+    } else {
+      await this.startServer(name);
+    }
+  }
+
+  async removeServer(name) {
+    this.getServerConfig(name);
+    await this.stopServer(name);
+    this.servers.delete(name);
+    this.configManager.removeMCPServer(name);
+  }
+
+  async setServerEnabled(name, enabled) {
+    this.getServerConfig(name);
+    this.configManager.setServerDisabled(name, !enabled);
+    if (enabled) {
+      if (this.clients.has(name)) return; // already running
+      await this.stopServer(name);        // drops a pending reconnect
+      await this.startServer(name);
+    } else {
+      await this.stopServer(name);
+      const status = this.servers.get(name) ?? newServerStatus();
+      this.servers.set(name, { ...status, config: this.getServerConfig(name), state: 'disabled' });
+    }
+  }
+
+  /**
+   * Follow a config reload (ConfigManager `changed` event): start added servers,
+   * stop removed ones, restart only those whose definition changed, and tell
+   * connected servers when the roots changed.
+   */
+  async applyConfigChanges({ servers, roots }) {
+    for (const name of servers.removed) {
+      await this.stopServer(name);
+      this.servers.delete(name);
+    }
+    for (const name of [...servers.changed, ...servers.added]) {
+      await this.stopServer(name);
+      const config = this.getServerConfig(name);
+      if (config.disabled) {
+        this.servers.set(name, { ...(this.servers.get(name) ?? newServerStatus()), config, state: 'disabled' });
+      } else {
+        await this.startServer(name);
+      }
+    }
+    if (roots) await this.notifyRootsChanged();
+  }
+
+  async restartServer(name) {
+    const config = this.getServerConfig(name);
+    if (config.disabled) {
+      throw new Error(`MCP server '${name}' is disabled`);
+    }
+    await this.stopServer(name);
+    await this.startServer(name);
+  }
+
+  // Connect a configured server and load what it offers
+  async startServer(name) {
+    const client = await this.connectServer(name, this.getServerConfig(name));
+    if (client) {
+      await this.loadServerTools(name, client);
+      await this.loadServerResources(name, client);
+      await this.loadServerPrompts(name, client);
+    }
+    this.startHealthChecks();
+    return client;
+  }
+
+  // Close a server's connection (and process) without triggering a reconnect
+  async stopServer(name) {
+    const status = this.servers.get(name);
+    if (!status) return;
+
+    clearTimeout(status.timer);
+    Object.assign(status, { timer: null, attempts: 0, pingFailures: 0, state: 'dead', lastError: null });
+
+    const client = this.clients.get(name);
+    if (client) {
+      this.dropServer(name);   // forgotten first, so onclose is ignored
+      await client.close().catch(error => console.error(`Error closing ${name}:`, error));
+      console.log(`Closed connection to ${name}`);
+    }
+  }
+
+  // Forget a server's live client and everything it registered
+  dropServer(name) {
+    this.clients.delete(name);
+    forgetServerEntries(this.tools, name);
+    forgetServerEntries(this.resources, name);
+    forgetServerEntries(this.resourceTemplates, name);
+    forgetServerEntries(this.prompts, name);
+    this.emit('toolsChanged', { server: name });
+    this.emit('resourcesChanged', { server: name });
+    this.emit('promptsChanged', { server: name });
+  }
+
+  startHealthChecks() {
+    if (this.healthTimer) return;
+    this.healthTimer = setInterval(() => this.checkHealth(), PING_INTERVAL_MS);
+    this.healthTimer.unref?.();
+  }
+
+  // Ping every live server: one miss marks it degraded, repeated misses restart it
+  async checkHealth() {
+    await Promise.all(Array.from(this.clients.entries()).map(async ([name, client]) => {
+      const status = this.servers.get(name);
       try {
-        const { tools } = await client.listTools();
-        console.log(`${serverName} tools:`, tools.map(t => t.name));
+        await client.ping({ timeout: PING_TIMEOUT_MS });
+        Object.assign(status, { state: 'ready', pingFailures: 0, lastPingAt: new Date().toISOString() });
+      } catch (error) {
+        status.pingFailures++;
+        status.lastError = `Ping failed: ${error.message}`;
 
-        for (const tool of tools) {
-          // Note: if multiple servers expose the same tool name, the last one wins.
-          this.tools.set(tool.name, { client, serverName, tool });
+        if (status.pingFailures < MAX_PING_FAILURES) {
+          status.state = 'degraded';
+          return;
         }
-      } catch (error) {
-        console.error(`Failed to load tools from ${serverName}:`, error);
+
+        console.warn(`⚠️  ${name} MCP server is not responding, restarting it`);
+        this.dropServer(name);
+        status.state = 'dead';
+        await client.close().catch(() => {});
+        this.scheduleReconnect(name);
+      }
+    }));
+  }
+
+  async loadAllTools() {
+    for (const [serverName, client] of this.clients) {
+      await this.loadServerTools(serverName, client);
+    }
+  }
+
+  // (Re)load one server's tools, replacing whatever it registered before
+  async loadServerTools(serverName, client) {
+    try {
+      const { tools } = await client.listTools();
+      console.log(`${serverName} tools:`, tools.map(t => t.name));
+
+      forgetServerEntries(this.tools, serverName);
+      for (const tool of tools) {
+        // Qualified ids keep same-named tools from different servers apart
+        this.tools.set(`${serverName}.${tool.name}`, { client, serverName, tool });
       }
+      this.emit('toolsChanged', { server: serverName });
+    } catch (error) {
+      console.error(`Failed to load tools from ${serverName}:`, error);
     }
   }
 
   async loadAllResources() {
     for (const [serverName, client] of this.clients) {
-      try {
-        const { resources } = await client.listResources();
-        if (resources && resources.length > 0) {
-          console.log(`${serverName} resources:`, resources.map(r => r.uri));
+      await this.loadServerResources(serverName, client);
+    }
+  }
+
+  async loadServerResources(serverName, client) {
+    try {
+      const { resources } = await client.listResources();
+      forgetServerEntries(this.resources, serverName);
+      if (resources && resources.length > 0) {
+        console.log(`${serverName} resources:`, resources.map(r => r.uri));
 
-          for (const resource of resources) {
-            this.resources.set(resource.uri, { client, serverName, resource });
-          }
+        for (const resource of resources) {
+          this.resources.set(resource.uri, { client, serverName, resource });
         }
-      } catch (error) {
-        // resources are optional in MCP; ignore “method not found”
-        if (error.code !== -32601) {
-          console.error(`Failed to load resources from ${serverName}:`, error.message);
+      }
+    } catch (error) {
+      // resources are optional in MCP; ignore “method not found”
+      if (error.code !== -32601) {
+        console.error(`Failed to load resources from ${serverName}:`, error.message);
+      }
+    }
+
+    try {
+      const { resourceTemplates } = await client.listResourceTemplates();
+      forgetServerEntries(this.resourceTemplates, serverName);
+      if (resourceTemplates && resourceTemplates.length > 0) {
+        console.log(`${serverName} resource templates:`, resourceTemplates.map(t => t.uriTemplate));
+
+        for (const template of resourceTemplates) {
+          this.resourceTemplates.set(`${serverName}:${template.uriTemplate}`, {
+            client,
+            serverName,
+            template,
+            matcher: new UriTemplate(template.uriTemplate)
+          });
         }
       }
+    } catch (error) {
+      if (error.code !== -32601) {
+        console.error(`Failed to load resource templates from ${serverName}:`, error.message);
+      }
     }
+
+    this.emit('resourcesChanged', { server: serverName });
   }
 
-  // Existing helper: call by tool name only (uses last-loaded server if duplicates)
-  async callTool(toolName, args = {}) {
-    const toolInfo = this.tools.get(toolName);
-    if (!toolInfo) {
-      throw new Error(`Tool '${toolName}' not found`);
+  async loadAllPrompts() {
+    for (const [serverName, client] of this.clients) {
+      await this.loadServerPrompts(serverName, client);
     }
+  }
 
+  async loadServerPrompts(serverName, client) {
     try {
-      console.log(`Calling tool: ${toolName} with args:`, args);
-      const result = await toolInfo.client.callTool({
-        name: toolName,
-        arguments: args
-      });
-      return result;
+      const { prompts } = await client.listPrompts();
+      forgetServerEntries(this.prompts, serverName);
+      if (prompts && prompts.length > 0) {
+        console.log(`${serverName} prompts:`, prompts.map(p => p.name));
+
+        for (const prompt of prompts) {
+          this.prompts.set(`${serverName}.${prompt.name}`, { client, serverName, prompt });
+        }
+      }
+      this.emit('promptsChanged', { server: serverName });
     } catch (error) {
-      console.error(`Error calling tool ${toolName}:`, error);
-      throw error;
+      // prompts are optional in MCP; ignore “method not found”
+      if (error.code !== -32601) {
+        console.error(`Failed to load prompts from ${serverName}:`, error.message);
+      }
+    }
+  }
+
+  /* ---------------------------------------------------------------------
+   * Sampling: servers request completions from the local model. The handler
+   * (OllamaWithMCP) does the generation; approval and limits are enforced here.
+   * ------------------------------------------------------------------- */
+
+  setSamplingHandler(handler) {
+    this.samplingHandler = handler;
+  }
+
+  // Asked before each request from a server whose approval policy is "ask"
+  setSamplingApprover(approver) {
+    this.samplingApprover = approver;
+  }
+
+  getSamplingPolicy(serverName) {
+    return { ...SAMPLING_DEFAULTS, ...this.servers.get(serverName)?.config?.sampling };
+  }
+
+  async handleSamplingRequest(serverName, params, extra = {}) {
+    const policy = this.getSamplingPolicy(serverName);
+    const status = this.servers.get(serverName);
+
+    if (!this.samplingHandler) {
+      throw new McpError(ErrorCode.InvalidRequest, 'Sampling is not available in this client');
+    }
+    if (policy.approval === 'never') {
+      throw new McpError(ErrorCode.InvalidRequest, `Sampling is disabled for server ${serverName}`);
+    }
+
+    // Sliding one-minute window per server
+    const now = Date.now();
+    status.samplingTimes = status.samplingTimes.filter(t => now - t < 60000);
+    if (status.samplingTimes.length >= policy.maxRequestsPerMinute) {
+      throw new McpError(ErrorCode.InvalidRequest, `Sampling rate limit reached for ${serverName} (${policy.maxRequestsPerMinute}/min)`);
+    }
+    status.samplingTimes.push(now);
+
+    const request = { ...params, maxTokens: Math.min(params.maxTokens ?? policy.maxTokens, policy.maxTokens) };
+
+    if (policy.approval !== 'always') {
+      const approved = this.samplingApprover
+        ? await this.samplingApprover({ server: serverName, params: request })
+        : false;
+      if (!approved) {
+        throw new McpError(ErrorCode.InvalidRequest, 'Sampling request was declined by the user');
+      }
+    }
+
+    console.log(`🧠 Sampling request from ${serverName} (maxTokens ${request.maxTokens})`);
+    return this.samplingHandler(serverName, request, { signal: extra.signal, model: policy.model });
+  }
+
+  /* ---------------------------------------------------------------------
+   * Roots and elicitation
+   * ------------------------------------------------------------------- */
+
+  getServerRoots(serverName) {
+    const entries = this.servers.get(serverName)?.config?.roots ?? this.configManager.getRoots();
+    return entries.map(toRoot).filter(Boolean);
+  }
+
+  // Tell connected servers to fetch roots/list again (after the config changed)
+  async notifyRootsChanged() {
+    for (const [name, client] of this.clients) {
+      await client.sendRootsListChanged().catch(error =>
+        console.error(`Failed to notify ${name} about roots:`, error.message));
     }
   }
 
+  // The UI that answers elicitation requests (CLI prompt or GUI modal)
+  setElicitationHandler(handler) {
+    this.elicitationHandler = handler;
+  }
+
+  async handleElicitation(serverName, params) {
+    if (!this.elicitationHandler) {
+      return { action: 'decline' };
+    }
+
+    console.log(`📝 Elicitation request from ${serverName}: ${params.message}`);
+    const { action, content } = await this.elicitationHandler({
+      server: serverName,
+      message: params.message,
+      requestedSchema: params.requestedSchema
+    });
+
+    if (action !== 'accept') {
+      return { action: action === 'decline' ? 'decline' : 'cancel' };
+    }
+    return { action, content: normalizeElicitationContent(params.requestedSchema, content) };
+  }
+
   /**
-   * NEW: Call a tool on a specific MCP server by name.
-   * This guarantees you hit the intended server (e.g., 'pg_log' → 'log_chat').
+   * Resolve a tool reference to its registry entry. Accepts the qualified id
+   * ("server.tool") or a bare tool name when exactly one server exposes it.
    */
-  async callToolOnServer(serverName, toolName, args = {}) {
-    // Find a tool entry that matches both server & tool
-    const match = Array.from(this.tools.values()).find(
-      t => t.serverName === serverName && t.tool.name === toolName
-    );
+  resolveTool(name) {
+    const exact = this.tools.get(name);
+    if (exact) return { id: name, ...exact };
 
-    if (!match) {
-      throw new Error(`Tool '${toolName}' not found on server '${serverName}'`);
+    const candidates = Array.from(this.tools.entries()).filter(([, info]) => info.tool.name === name);
+    if (candidates.length === 0) {
+      throw new Error(`Tool '${name}' not found`);
+    }
+    if (candidates.length > 1) {
+      const ids = candidates.map(([id]) => id).join(', ');
+      throw new Error(`Tool '${name}' is ambiguous; use one of: ${ids}`);
     }
+    const [id, info] = candidates[0];
+    return { id, ...info };
+  }
+
+  // Timeout for one tool: server "toolTimeouts"[tool] → server "timeoutMs" → default
+  getToolTimeout(serverName, toolName) {
+    const config = this.servers.get(serverName)?.config || {};
+    return config.toolTimeouts?.[toolName] ?? config.timeoutMs ?? DEFAULT_TOOL_TIMEOUT_MS;
+  }
+
+  /**
+   * The one way to call a tool: callTool('server.tool' | 'tool', args, options).
+   *   options.signal     – aborting it cancels the call (the SDK sends notifications/cancelled)
+   *   options.onProgress – receives { progress, total, message } progress notifications
+   * The timeout restarts whenever the server reports progress.
+   */
+  async callTool(name, args = {}, options = {}) {
+    const { id, client, serverName, tool } = this.resolveTool(name);
+    const timeout = this.getToolTimeout(serverName, tool.name);
 
     try {
-      console.log(`Calling tool '${toolName}' on server '${serverName}' with args:`, args);
-      const result = await match.client.callTool({
-        name: toolName,
+      console.log(`Calling tool: ${id} with args:`, args);
+      const result = await client.callTool({
+        name: tool.name,
         arguments: args
+      }, undefined, {
+        signal: options.signal,
+        timeout,
+        resetTimeoutOnProgress: true,
+        ...(options.onProgress ? { onprogress: options.onProgress } : {})
       });
       return result;
     } catch (error) {
-      console.error(`Error calling tool ${toolName} on server ${serverName}:`, error);
+      if (error.code === ErrorCode.RequestTimeout) {
+        error.message = `Tool ${id} timed out after ${timeout} ms`;
+      }
+      console.error(`Error calling tool ${id}:`, error.message);
       throw error;
     }
   }
 
+  // Same lookup rules as resolveTool: "server.prompt" or an unambiguous bare name
+  resolvePrompt(name) {
+    const exact = this.prompts.get(name);
+    if (exact) return { id: name, ...exact };
+
+    const candidates = Array.from(this.prompts.entries()).filter(([, info]) => info.prompt.name === name);
+    if (candidates.length === 0) {
+      throw new Error(`Prompt '${name}' not found`);
+    }
+    if (candidates.length > 1) {
+      const ids = candidates.map(([id]) => id).join(', ');
+      throw new Error(`Prompt '${name}' is ambiguous; use one of: ${ids}`);
+    }
+    const [id, info] = candidates[0];
+    return { id, ...info };
+  }
+
+  // Expand a prompt template; resolves to { description, messages }
+  async getPrompt(name, args = {}) {
+    const { id, client, prompt } = this.resolvePrompt(name);
+
+    const missing = (prompt.arguments || [])
+      .filter(arg => arg.required && (args[arg.name] === undefined || args[arg.name] === ''))
+      .map(arg => arg.name);
+    if (missing.length > 0) {
+      throw new Error(`Prompt '${id}' is missing required argument(s): ${missing.join(', ')}`);
+    }
+
+    try {
+      console.log(`Getting prompt: ${id} with args:`, args);
+      // Prompt arguments are always strings in MCP
+      const stringArgs = Object.fromEntries(Object.entries(args).map(([key, value]) => [key, String(value)]));
+      return await client.getPrompt({ name: prompt.name, arguments: stringArgs });
+    } catch (error) {
+      console.error(`Error getting prompt ${id}:`, error);
+      throw error;
+    }
+  }
+
+  getAvailablePrompts() {
+    return Array.from(this.prompts.keys());
+  }
+
+  getPromptInfo(name) {
+    try {
+      return this.resolvePrompt(name).prompt;
+    } catch {
+      return null;
+    }
+  }
+
   getAvailableTools() {
     return Array.from(this.tools.keys());
   }
 
   getToolInfo(toolName) {
-    const toolInfo = this.tools.get(toolName);
-    return toolInfo ? toolInfo.tool : null;
+    try {
+      return this.resolveTool(toolName).tool;
+    } catch {
+      return null;
+    }
+  }
+
+  // A listed resource, or the first resource template whose pattern matches the URI
+  findResource(uri) {
+    const listed = this.resources.get(uri);
+    if (listed) return listed;
+
+    for (const info of this.resourceTemplates.values()) {
+      if (info.matcher.match(uri)) return info;
+    }
+    return null;
   }
 
   async accessResource(uri) {
-    const resourceInfo = this.resources.get(uri);
+    const resourceInfo = this.findResource(uri);
     if (!resourceInfo) {
       throw new Error(`Resource '${uri}' not found`);
     }
@@ -166,8 +754,14 @@ export class MCPManager {
     return resourceInfo ? resourceInfo.resource : null;
   }
 
+  // [{ server, uriTemplate, name, description, mimeType }]
+  getResourceTemplates() {
+    return Array.from(this.resourceTemplates.values())
+      .map(({ serverName, template }) => ({ server: serverName, ...template }));
+  }
+
   getAllServers() {
-    return Array.from(this.clients.keys());
+    return Array.from(this.servers.keys());
   }
 
   getConnectedServers() {
@@ -191,12 +785,38 @@ export class MCPManager {
         .filter(([_, resourceInfo]) => resourceInfo.serverName === name)
         .map(([uri]) => uri);
 
-      info[name] = { tools, resources };
+      const prompts = Array.from(this.prompts.entries())
+        .filter(([_, promptInfo]) => promptInfo.serverName === name)
+        .map(([promptName]) => promptName);
+
+      info[name] = { tools, resources, prompts };
     }
     return info;
   }
 
+  // Health per configured server: connecting | ready | degraded | dead | disabled
+  getServerStatus() {
+    const status = {};
+    for (const [name, s] of this.servers) {
+      status[name] = {
+        type: s.config?.type || 'stdio',
+        state: s.state,
+        lastError: s.lastError,
+        lastPingAt: s.lastPingAt,
+        reconnectAttempts: s.attempts,
+        tools: this.getServerTools(name).length
+      };
+    }
+    return status;
+  }
+
   async close() {
+    this.closing = true;
+    clearInterval(this.healthTimer);
+    for (const status of this.servers.values()) {
+      clearTimeout(status.timer);
+    }
+
     for (const [name, client] of this.clients) {
       try {
         await client.close();
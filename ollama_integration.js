@@ -1,113 +1,645 @@
 // ollama_integration.js
-import ollama from 'ollama';
+import { Ollama } from 'ollama';
+
+// Like Promise.all(items.map(fn)) but with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+// Flatten an MCP CallToolResult into the text handed back to the model
+export function formatToolResult(result) {
+  if (!Array.isArray(result?.content)) return JSON.stringify(result ?? null);
+  return result.content
+    .map(part => (part.type === 'text' ? part.text : JSON.stringify(part)))
+    .join('\n');
+}
+
+// Built-in tool that lets the model pull MCP resources into context itself
+const READ_RESOURCE_TOOL = 'read_resource';
+
+// Context budgeting. Token counts are estimated from text length; the window
+// is a num_ctx from the request or ollama.contextLength (only then sent to
+// Ollama), else the model's num_ctx parameter, else the context length the model
+// reports – never more than the latter. The default is for models Ollama cannot describe.
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const DEFAULT_CONTEXT_LENGTH = 4096;
+const MAX_RESPONSE_RESERVE = 1024;
+
+// History older than what fits is folded into one system message starting with this;
+// with less room than MIN_SUMMARY_TOKENS it is dropped instead
+const MIN_SUMMARY_TOKENS = 64;
+const SUMMARY_HEADER = 'Summary of the earlier conversation:\n';
+const SUMMARY_INSTRUCTIONS = 'You condense chat transcripts. Write a concise summary of the conversation below, keeping facts, names, numbers, decisions, tool results and open questions that later turns may need. Reply with the summary only.';
+
+// Tool-name words too generic to suggest that a message needs that tool
+const GENERIC_TOOL_WORDS = new Set(['get', 'set', 'list', 'read', 'write', 'create', 'update', 'delete', 'fetch', 'search', 'query', 'current', 'info', 'data', 'tool']);
+
+function isSummary(message) {
+  return message?.role === 'system' && typeof message.content === 'string' && message.content.startsWith(SUMMARY_HEADER);
+}
+
+// Code-fence language for text resources that are not prose
+const FENCE_LANGUAGES = {
+  'application/json': 'json',
+  'application/xml': 'xml',
+  'text/xml': 'xml',
+  'text/html': 'html',
+  'text/csv': 'csv',
+  'text/css': 'css',
+  'application/javascript': 'javascript',
+  'text/javascript': 'javascript',
+  'application/x-yaml': 'yaml',
+  'text/yaml': 'yaml'
+};
 
 export class OllamaWithMCP {
   constructor(mcpManager, configManager) {
     const ollamaConfig = configManager.getOllamaConfig();
 
-    // Point the npm client at your Ollama host
-    if (ollamaConfig?.host) {
-      process.env.OLLAMA_HOST = ollamaConfig.host;
-    }
-
-    // The npm package exports a default client object, not a class/constructor
-    this.ollama = ollama;
-
-    this.mcp = mcpManager;
     this.configManager = configManager;
+    this.connectOllama();
+
     this.conversationHistory = [];
     this.defaultModel = ollamaConfig.defaultModel;
+    this.modelsWithoutTools = new Set(); // models that rejected native `tools`
+    this.attachMCPManager(mcpManager);
   }
 
-  async chat(message, model = null) {
-    const useModel = model || this.defaultModel;
-    const instructions = this.configManager.getInstructions();
+  // (Re)create the Ollama client for the configured host (${VAR} placeholders resolved)
+  connectOllama() {
+    const host = this.configManager.getResolvedOllamaHost();
+    this.ollama = new Ollama(host ? { host } : {});
+    this.modelContext = new Map(); // model -> { trained, numCtx } from /api/show
+  }
+
+  // Follow a config reload: a new host needs a new client, a new default model applies from the next message
+  applyConfigChanges({ ollama }) {
+    if (ollama.includes('host')) this.connectOllama();
+    if (ollama.includes('defaultModel')) this.defaultModel = this.configManager.getOllamaConfig().defaultModel;
+  }
+
+  // Use (another) MCPManager and answer its servers' sampling requests
+  attachMCPManager(mcpManager) {
+    this.mcp = mcpManager;
+    mcpManager.setSamplingHandler((serverName, params, options) =>
+      this.createSamplingMessage(serverName, params, options));
+  }
 
-    // Build messages with history
-    const messages = [
-      {
-        role: 'system',
-        content: `${instructions.system}
-
-Available tools: ${this.mcp.getAvailableTools().join(', ')}
-Available resources: ${this.mcp.getAvailableResources().join(', ')}`
-      },
-      ...this.conversationHistory,
-      { role: 'user', content: message }
+  /**
+   * Agent loop: the model may call tools repeatedly (geocode → weather → log …)
+   * until it answers in plain text or `maxIterations` tool rounds are used up.
+   * Every tool round is returned in `steps` so UIs can render the full trace.
+   *
+   * options.stream  – stream the model's tokens as they are generated
+   * options.onEvent – receives { type: 'token' | 'tool_start' | 'tool_progress' |
+   *                   'tool_end', … } while the turn is in progress
+   * options.signal  – AbortSignal; aborting stops generation and in-flight tool
+   *                   calls, and the turn rejects without touching history
+   * options.prelude – extra { role, content } messages placed before `message`
+   *                   (e.g. an expanded MCP prompt); kept in history on success
+   * options.attachments – resource URIs whose contents are read and added to
+   *                   the prelude
+   * options.history – message array of the conversation to continue (updated in
+   *                   place); defaults to this client's own history
+   * options.modelOptions – Ollama generation options for this turn
+   *                   ({ temperature, seed, num_ctx, … })
+   *
+   * Without an explicit `model`, ollama.routing may pick one (see routeModel).
+   *
+   * History is sent as far as it fits the model's context window; older turns
+   * are folded into a rolling summary (see fitHistory).
+   */
+  async chat(message, model = null, options = {}) {
+    const startedAt = Date.now();
+    const route = model ? null : this.routeModel('chat', message);
+    const useModel = model || route?.model || this.defaultModel;
+    const modelOptions = { ...route?.options, ...options.modelOptions };
+    const instructions = this.configManager.getInstructions();
+    const ollamaConfig = this.configManager.getOllamaConfig();
+    const maxIterations = options.maxIterations ?? ollamaConfig.maxToolIterations ?? 5;
+    const maxParallel = options.maxParallelToolCalls ?? ollamaConfig.maxParallelToolCalls ?? 4;
+    const emit = options.onEvent || (() => {});
+    const onToken = options.stream ? content => emit({ type: 'token', content }) : null;
+    const { signal } = options;
+    const history = options.history ?? this.conversationHistory;
+    const prelude = [
+      ...(options.prelude || []),
+      ...(await this.buildAttachmentMessages(options.attachments || []))
     ];
+    const turn = [...prelude, { role: 'user', content: message }];
+
+    // Whatever the window leaves after the system prompt, tools, this turn and the reply goes to history
+    const numCtx = modelOptions.num_ctx ?? ollamaConfig.contextLength ?? null; // sent only when set
+    const contextLength = await this.getContextLength(useModel, numCtx);
+    const maxResultTokens = ollamaConfig.maxToolResultTokens ?? Math.floor(contextLength / 4);
+    // Results kept in history for later turns are usually cut shorter
+    const historyResultTokens = Math.min(ollamaConfig.historyToolResultTokens ?? 1000, maxResultTokens);
+    const available = contextLength - this.responseReserve(contextLength) - this.estimateRequestOverhead(useModel);
+    const turnTokens = this.estimateTokens(turn);
+    if (turnTokens > available) {
+      throw new Error(`This message${prelude.length ? ' with its attachments' : ''} needs about ${turnTokens} tokens, ` +
+        `but the ${contextLength}-token context of ${useModel} leaves room for ${Math.max(0, available)}. ` +
+        'Send less, or raise ollama.contextLength (or the num_ctx option).');
+    }
+    const historyBudget = available - turnTokens;
+    const context = await this.fitHistory(history, useModel, historyBudget, { contextLength, numCtx, signal });
+
+    // Build messages with history (the system prompt is added per request)
+    const messages = [...context, ...turn];
+
+    const steps = [];
+    const toolMessages = []; // this turn's tool calls and results as they go into history
+    let assistantMessage = '';
+
+    for (let iteration = 0; ; iteration++) {
+      signal?.throwIfAborted();
+
+      // Once the cap is reached, withhold the tools so the model has to answer
+      const allowTools = iteration < maxIterations;
+      const { response, native } = await this.requestChat(useModel, messages, { tools: allowTools, onToken, signal, numCtx, modelOptions });
+
+      assistantMessage = response?.message?.content ?? '';
+      const toolCalls = allowTools ? this.extractToolCalls(response?.message, native) : [];
+      if (toolCalls.length === 0) break;
+
+      // The model requested tool calls (native tool_calls, or JSON blob for older models).
+      // Calls from one turn run concurrently; results keep the order they were requested in.
+      console.log('Tool calls detected:', toolCalls);
+      const rawResponse = assistantMessage || JSON.stringify(toolCalls.map(c => ({ action: 'tool_call', tool: c.tool, args: c.args })));
+      const roundSteps = await mapWithConcurrency(toolCalls, maxParallel, async (call, index) => {
+        emit({ type: 'tool_start', tool: call.tool, args: call.args, iteration, index });
+        const onProgress = ({ progress, total, message }) =>
+          emit({ type: 'tool_progress', tool: call.tool, iteration, index, progress, total, message });
+        const step = await this.runToolCall(call, { signal, onProgress });
+        Object.assign(step, { iteration, index, rawResponse });
+        emit({ type: 'tool_end', ...step });
+        return step;
+      });
+      signal?.throwIfAborted();
+      steps.push(...roundSteps);
+
+      // Tool failures go back to the model too, so it can retry or explain
+      const resultText = (step, text, maxTokens) => (step.error ? `Error: ${step.error}` : this.truncateText(text, maxTokens));
+      if (native) {
+        // Hand each result back as its own tool message
+        const call = { role: 'assistant', content: assistantMessage, tool_calls: response.message.tool_calls };
+        messages.push(call);
+        toolMessages.push(call);
+        for (const step of roundSteps) {
+          const text = this.formatToolResult(step.result);
+          messages.push({ role: 'tool', content: resultText(step, text, maxResultTokens), tool_name: step.tool });
+          toolMessages.push({ role: 'tool', content: resultText(step, text, historyResultTokens), tool_name: step.tool });
+        }
+      } else {
+        // Follow-up prompt to present tool result back to the model
+        const [step] = roundSteps;
+        const text = JSON.stringify(step.result, null, 2);
+        const call = { role: 'assistant', content: assistantMessage };
+        messages.push(call, { role: 'user', content: instructions.followUp.replace('{TOOL_RESULT}', resultText(step, text, maxResultTokens)) });
+        toolMessages.push(call, { role: 'user', content: instructions.followUp.replace('{TOOL_RESULT}', resultText(step, text, historyResultTokens)) });
+      }
+    }
 
-    const response = await this.ollama.chat({
-      model: useModel,
-      messages,
-      stream: false
-    });
+    // Regular response path
+    if (steps.length === 0) {
+      this.recordExchange(history, message, assistantMessage, prelude, context);
+      return {
+        response: assistantMessage,
+        toolUsed: null,
+        steps,
+        model: useModel,
+        durationMs: Date.now() - startedAt
+      };
+    }
 
-    let assistantMessage = response?.message?.content ?? '';
+    // Strip any <think> … </think> blocks
+    const cleanedResponse = assistantMessage.replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+    this.recordExchange(history, message, cleanedResponse, prelude, context, toolMessages);
 
-    // If the model requested a tool call (JSON blob detection)
-    if (this.isToolCall(assistantMessage)) {
-      try {
-        const toolCall = this.parseToolCall(assistantMessage);
-        console.log('Tool call detected:', toolCall);
+    const lastStep = steps[steps.length - 1];
+    return {
+      toolUsed: lastStep.tool,
+      toolArgs: lastStep.args,
+      toolResult: lastStep.result,
+      finalResponse: cleanedResponse,
+      rawResponse: lastStep.rawResponse,
+      steps,
+      model: useModel,
+      durationMs: Date.now() - startedAt
+    };
+  }
 
+  // Execute one tool call; failures are captured on the step rather than thrown
+  async runToolCall(toolCall, { signal, onProgress } = {}) {
+    const startedAt = Date.now();
+    const step = { tool: toolCall.tool, args: toolCall.args, result: null, error: null };
+    try {
+      if (toolCall.tool === READ_RESOURCE_TOOL) {
+        const text = await this.readResourceText(toolCall.args?.uri);
+        step.result = { content: [{ type: 'text', text }] };
+      } else {
         // Call the MCP tool (your MCPManager handles resolution)
-        const toolResult = await this.mcp.callTool(toolCall.tool, toolCall.args);
+        step.result = await this.mcp.callTool(toolCall.tool, toolCall.args, { signal, onProgress });
+      }
+    } catch (error) {
+      step.error = error.message;
+    }
+    step.durationMs = Date.now() - startedAt;
+    return step;
+  }
 
-        // Follow-up prompt to present tool result back to the model
-        messages.push({ role: 'assistant', content: assistantMessage });
-        messages.push({
-          role: 'user',
-          content: instructions.followUp.replace('{TOOL_RESULT}', JSON.stringify(toolResult, null, 2))
-        });
+  /**
+   * Update history in place: the context the turn was sent with, then the new
+   * exchange. `toolMessages` are the turn's tool calls and (truncated) results,
+   * so later turns can refer back to what the tools returned.
+   */
+  recordExchange(history, userMessage, assistantMessage, prelude = [], context = history, toolMessages = []) {
+    history.splice(0, history.length,
+      ...context,
+      ...prelude,
+      { role: 'user', content: userMessage },
+      ...toolMessages,
+      { role: 'assistant', content: assistantMessage });
+  }
 
-        const finalResponse = await this.ollama.chat({
-          model: useModel,
-          messages,
-          stream: false
-        });
+  /**
+   * The first ollama.routing rule for `task` ('chat' or 'summary') that fits
+   * `message`, or null. A rule matches when all of its conditions hold:
+   * `match` (regular expression, case-insensitive) and `tools` (the message
+   * mentions an available tool). Returns { model, options }.
+   */
+  routeModel(task, message = '') {
+    const rules = this.configManager.getOllamaConfig().routing || [];
+    const rule = rules.find(candidate =>
+      (candidate.task || 'chat') === task &&
+      (!candidate.match || new RegExp(candidate.match, 'i').test(message)) &&
+      (candidate.tools === undefined || candidate.tools === this.mentionsTool(message)));
+    if (!rule) return null;
+    console.log(`🔀 Routing ${task} to ${rule.model}`);
+    return { model: rule.model, options: rule.options || {} };
+  }
 
-        // Strip any <think> … </think> blocks
-        let cleanedResponse = (finalResponse?.message?.content ?? '').replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+  // Does the message use a word from a tool name (e.g. "weather" for wx.get_current_weather)?
+  mentionsTool(message) {
+    const words = new Set(message.toLowerCase().match(/[a-z0-9]+/g) || []);
+    return this.mcp.getAvailableTools().some(name =>
+      name.split('.').pop()
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .some(word => word.length > 2 && !GENERIC_TOOL_WORDS.has(word) && words.has(word)));
+  }
 
-        // Update history (compact to last 10 exchanges)
-        this.conversationHistory.push({ role: 'user', content: message });
-        this.conversationHistory.push({
-          role: 'assistant',
-          content: `Used tool ${toolCall.tool} with result: ${cleanedResponse}`
+  /**
+   * Context window for `model` in tokens: `requested` (a configured num_ctx),
+   * else the num_ctx parameter of the model, else the context length the model
+   * reports in /api/show – capped at the latter. Model details are cached per host.
+   */
+  async getContextLength(model, requested = null) {
+    if (!this.modelContext.has(model)) {
+      try {
+        const shown = await this.ollama.show({ model });
+        const trained = Object.entries(shown.model_info || {})
+          .find(([key]) => key.endsWith('.context_length'))?.[1];
+        const numCtx = /^num_ctx\s+(\d+)/m.exec(shown.parameters || '')?.[1];
+        this.modelContext.set(model, {
+          trained: trained ? Number(trained) : null,
+          numCtx: numCtx ? Number(numCtx) : null
         });
-        if (this.conversationHistory.length > 20) {
-          this.conversationHistory = this.conversationHistory.slice(-20);
-        }
+      } catch (error) {
+        // Not cached, so the next message asks again
+        console.warn(`⚠️  Could not read the context length of ${model}:`, error.message);
+      }
+    }
+
+    const { trained = null, numCtx = null } = this.modelContext.get(model) || {};
+    const length = requested ?? numCtx ?? trained ?? DEFAULT_CONTEXT_LENGTH;
+    return trained ? Math.min(length, trained) : length;
+  }
+
+  // Tokens kept free for the model's reply
+  responseReserve(contextLength) {
+    return Math.min(MAX_RESPONSE_RESERVE, Math.floor(contextLength / 4));
+  }
+
+  // Rough token count of a string or a list of messages
+  estimateTokens(value) {
+    if (Array.isArray(value)) {
+      return value.reduce((sum, message) => sum + MESSAGE_OVERHEAD_TOKENS + this.estimateTokens(message.content ?? '') +
+        (message.tool_calls ? this.estimateTokens(JSON.stringify(message.tool_calls)) : 0), 0);
+    }
+    return Math.ceil(String(value).length / CHARS_PER_TOKEN);
+  }
 
-        return {
-          toolUsed: toolCall.tool,
-          toolResult,
-          finalResponse: cleanedResponse,
-          rawResponse: assistantMessage
-        };
+  // The system prompt and tool definitions sent along with every request
+  estimateRequestOverhead(model) {
+    const native = !this.modelsWithoutTools.has(model);
+    return this.estimateTokens([this.buildSystemMessage(native)]) +
+      (native ? this.estimateTokens(JSON.stringify(this.buildOllamaTools())) : 0);
+  }
+
+  // Cut text to about `maxTokens` tokens, saying how much was left out
+  truncateText(text, maxTokens) {
+    const limit = maxTokens * CHARS_PER_TOKEN;
+    if (text.length <= limit) return text;
+    return `${text.slice(0, limit)}\n… [truncated: showing ${limit} of ${text.length} characters]`;
+  }
+
+  /**
+   * The part of `history` to send within `budget` tokens. When it does not fit,
+   * the oldest turns (and any earlier summary) are summarized into a single
+   * message, keeping recent turns whole in about half the budget so the summary
+   * is not redone on every message. With ollama.summarizeHistory set to false,
+   * too little room for a summary, or if summarizing fails, the oldest turns are
+   * dropped instead.
+   * `history` itself is left alone; recordExchange stores the result.
+   */
+  async fitHistory(history, model, budget, { contextLength, numCtx = null, signal } = {}) {
+    budget = Math.max(0, budget);
+    if (history.length === 0 || this.estimateTokens(history) <= budget) return [...history];
+
+    const summary = isSummary(history[0]) ? history[0] : null;
+    const rest = summary ? history.slice(1) : history;
+    let start = rest.length;
+    let used = 0;
+    while (start > 0 && used + this.estimateTokens([rest[start - 1]]) <= budget / 2) {
+      used += this.estimateTokens([rest[--start]]);
+    }
+    // Never keep the tail of a turn without the user message that started it
+    while (start < rest.length && rest[start].role !== 'user') start++;
+    const older = rest.slice(0, start);
+    const recent = rest.slice(start);
+    if (older.length === 0 && !summary) return recent;
+
+    const summaryTokens = Math.floor(budget / 2);
+    if (this.configManager.getOllamaConfig().summarizeHistory === false || summaryTokens < MIN_SUMMARY_TOKENS) {
+      console.log(`✂️  Dropped ${older.length} earlier messages to fit the ${contextLength}-token context of ${model}`);
+      return recent;
+    }
+
+    try {
+      const text = await this.summarizeMessages(model, [...(summary ? [summary] : []), ...older], {
+        contextLength,
+        numCtx,
+        maxTokens: summaryTokens
+      }, signal);
+      console.log(`🗜️  Summarized ${older.length} earlier messages to fit the ${contextLength}-token context of ${model}`);
+      return [{ role: 'system', content: SUMMARY_HEADER + text }, ...recent];
+    } catch (error) {
+      signal?.throwIfAborted();
+      console.warn(`⚠️  Could not summarize the conversation, dropping ${older.length} earlier messages:`, error.message);
+      return recent;
+    }
+  }
+
+  /**
+   * Plain completion (no tools) condensing `messages`; the oldest text is cut if
+   * it would not fit. A 'summary' routing rule may name a (smaller) model for this.
+   */
+  async summarizeMessages(model, messages, { contextLength, numCtx = null, maxTokens }, signal) {
+    const route = this.routeModel('summary');
+    if (route && route.model !== model) {
+      model = route.model;
+      numCtx = route.options.num_ctx ?? this.configManager.getOllamaConfig().contextLength ?? null;
+      contextLength = await this.getContextLength(model, numCtx);
+      maxTokens = Math.min(maxTokens, Math.floor(contextLength / 2));
+    }
+    const maxResultTokens = this.configManager.getOllamaConfig().maxToolResultTokens ?? Math.floor(contextLength / 4);
+    let transcript = this.toPlainMessages(messages).map(message => {
+      const content = isSummary(message) ? message.content.slice(SUMMARY_HEADER.length) : message.content;
+      const label = isSummary(message) ? 'Earlier summary' : message.role;
+      return `${label}: ${this.truncateText(content ?? '', maxResultTokens)}`;
+    }).join('\n\n');
+
+    const room = (contextLength - maxTokens - this.estimateTokens(SUMMARY_INSTRUCTIONS) - 2 * MESSAGE_OVERHEAD_TOKENS) * CHARS_PER_TOKEN;
+    if (transcript.length > room) transcript = transcript.slice(-Math.max(0, room));
+
+    const response = await this.sendChat({
+      model,
+      messages: [
+        { role: 'system', content: SUMMARY_INSTRUCTIONS },
+        { role: 'user', content: transcript }
+      ],
+      options: { ...route?.options, ...(numCtx ? { num_ctx: numCtx } : {}), num_predict: maxTokens }
+    }, null, signal);
+
+    const text = (response.message?.content ?? '').replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+    if (!text) throw new Error('the model returned an empty summary');
+    return text;
+  }
+
+  /**
+   * Send a chat request, passing MCP tools through Ollama's native tool API.
+   * Models that reject `tools` are remembered and retried with the JSON
+   * tool-call prompt instead. Pass { tools: false } to ask for a plain answer,
+   * and an `onToken` callback to stream the reply. `modelOptions` are passed
+   * through; a configured `numCtx` is sent as num_ctx, otherwise Ollama's own
+   * setting applies. Resolves to { response, native }.
+   */
+  async requestChat(model, messages, { tools = true, onToken = null, signal, numCtx = null, modelOptions = {} } = {}) {
+    const generation = { ...modelOptions, ...(numCtx ? { num_ctx: numCtx } : {}) };
+    const options = Object.keys(generation).length ? { options: generation } : {};
+    if (!this.modelsWithoutTools.has(model)) {
+      try {
+        const response = await this.sendChat({
+          model,
+          messages: [this.buildSystemMessage(true), ...messages],
+          ...(tools ? { tools: this.buildOllamaTools() } : {}),
+          ...options
+        }, onToken, signal);
+        return { response, native: true };
       } catch (error) {
-        // Log tool failure into the conversation as well
-        this.conversationHistory.push({ role: 'user', content: message });
-        this.conversationHistory.push({ role: 'assistant', content: `Error: ${error.message}` });
+        if (!/does not support tools/i.test(error.message)) throw error;
+        console.log(`⚠️  ${model} has no native tool support, falling back to JSON tool calls`);
+        this.modelsWithoutTools.add(model);
+      }
+    }
+
+    const response = await this.sendChat({
+      model,
+      messages: [this.buildSystemMessage(false), ...this.toPlainMessages(messages)],
+      ...options
+    }, onToken, signal);
+    return { response, native: false };
+  }
 
-        return {
-          error: `Tool call failed: ${error.message}`,
-          rawResponse: assistantMessage
-        };
+  // Tool calls and results from history, rewritten in the JSON tool-call convention
+  // for models without native tool support
+  toPlainMessages(messages) {
+    return messages.map(message => {
+      if (message.tool_calls?.length) {
+        const calls = message.tool_calls.map(call =>
+          JSON.stringify({ action: 'tool_call', tool: call.function.name, args: call.function.arguments || {} }));
+        return { role: 'assistant', content: [message.content, ...calls].filter(Boolean).join('\n') };
+      }
+      if (message.role === 'tool') {
+        return { role: 'user', content: `Tool result (${message.tool_name}): ${message.content}` };
       }
+      return message;
+    });
+  }
+
+  // Streamed replies are reassembled into the same shape as a non-streamed response.
+  // Only streamed requests can be aborted mid-generation; others are checked afterwards.
+  async sendChat(request, onToken = null, signal = null) {
+    if (!onToken) {
+      const response = await this.ollama.chat({ ...request, stream: false });
+      signal?.throwIfAborted();
+      return response;
     }
 
-    // Regular response path
-    this.conversationHistory.push({ role: 'user', content: message });
-    this.conversationHistory.push({ role: 'assistant', content: assistantMessage });
-    if (this.conversationHistory.length > 20) {
-      this.conversationHistory = this.conversationHistory.slice(-20);
+    const stream = await this.ollama.chat({ ...request, stream: true });
+    const abort = () => stream.abort();
+    signal?.addEventListener('abort', abort, { once: true });
+    if (signal?.aborted) stream.abort();
+
+    const message = { role: 'assistant', content: '' };
+    try {
+      for await (const chunk of stream) {
+        if (chunk.message?.content) {
+          message.content += chunk.message.content;
+          onToken(chunk.message.content);
+        }
+        if (chunk.message?.tool_calls?.length) {
+          message.tool_calls = [...(message.tool_calls ?? []), ...chunk.message.tool_calls];
+        }
+      }
+    } finally {
+      signal?.removeEventListener('abort', abort);
     }
+    signal?.throwIfAborted();
+    return { message };
+  }
 
-    return {
-      response: assistantMessage,
-      toolUsed: null
-    };
+  buildSystemMessage(native) {
+    const instructions = this.configManager.getInstructions();
+    const templates = this.mcp.getResourceTemplates().map(t => t.uriTemplate);
+    let content = `${instructions.system}
+
+Available resources: ${this.mcp.getAvailableResources().join(', ')}`;
+    if (templates.length > 0) {
+      content += `\nResource templates (fill in the {placeholders}): ${templates.join(', ')}`;
+    }
+
+    // Without native tool support the model only learns about tools from the prompt
+    if (!native) {
+      const toolLines = this.getToolDefinitions().map(tool =>
+        `- ${tool.name}: ${tool.description || 'No description'}\n  arguments schema: ${JSON.stringify(tool.inputSchema || {})}`);
+      content += `
+
+Available tools:
+${toolLines.join('\n')}
+
+To call a tool, reply with only this JSON and nothing else:
+{"action":"tool_call","tool":"<tool name>","args":{...}}`;
+    }
+
+    return { role: 'system', content };
+  }
+
+  // MCP tools plus the built-in read_resource tool when there is anything to read
+  getToolDefinitions() {
+    const tools = this.mcp.getAvailableTools().map(name => ({ ...this.mcp.getToolInfo(name), name }));
+
+    if (this.mcp.getAvailableResources().length > 0 || this.mcp.getResourceTemplates().length > 0) {
+      tools.push({
+        name: READ_RESOURCE_TOOL,
+        description: 'Read the contents of an MCP resource by URI (a listed resource or a filled-in resource template)',
+        inputSchema: {
+          type: 'object',
+          properties: { uri: { type: 'string', description: 'Resource URI' } },
+          required: ['uri']
+        }
+      });
+    }
+    return tools;
+  }
+
+  // Tool definitions in the shape Ollama's `tools` parameter expects
+  buildOllamaTools() {
+    return this.getToolDefinitions().map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description || tool.title || '',
+        parameters: tool.inputSchema || { type: 'object', properties: {} }
+      }
+    }));
+  }
+
+  /**
+   * Read a resource and render it as text for the model, capped at
+   * `ollama.maxResourceChars` characters.
+   */
+  async readResourceText(uri) {
+    if (!uri) throw new Error('A resource uri is required');
+
+    const result = await this.mcp.accessResource(uri);
+    const text = (result.contents || []).map(part => this.renderResourceContent(part)).join('\n\n');
+
+    const limit = this.configManager.getOllamaConfig().maxResourceChars ?? 20000;
+    if (text.length <= limit) return text;
+    return `${text.slice(0, limit)}\n… [truncated: showing ${limit} of ${text.length} characters]`;
+  }
+
+  // Text is passed through (structured formats fenced), binary content is only described
+  renderResourceContent(part) {
+    const mimeType = part.mimeType || '';
+
+    if (part.text === undefined) {
+      const bytes = Math.floor((part.blob?.length ?? 0) * 3 / 4);
+      const kind = mimeType.startsWith('image/') ? 'image' : 'binary content';
+      return `[${kind} ${part.uri} (${mimeType || 'application/octet-stream'}, ~${bytes} bytes) not shown]`;
+    }
+
+    if (mimeType === 'application/json') {
+      try {
+        return '```json\n' + JSON.stringify(JSON.parse(part.text), null, 2) + '\n```';
+      } catch {
+        // not valid JSON after all; fall through to a plain fence
+      }
+    }
+    const language = FENCE_LANGUAGES[mimeType];
+    return language ? '```' + language + '\n' + part.text + '\n```' : part.text;
+  }
+
+  // One user message per attached resource URI
+  async buildAttachmentMessages(uris) {
+    const messages = [];
+    for (const uri of uris) {
+      messages.push({ role: 'user', content: `Attached resource ${uri}:\n\n${await this.readResourceText(uri)}` });
+    }
+    return messages;
+  }
+
+  // Returns [{ tool, args }, …] in the order the model requested them
+  extractToolCalls(message, native) {
+    if (native) {
+      return (message?.tool_calls ?? []).map(call => ({
+        tool: call.function.name,
+        args: call.function.arguments || {}
+      }));
+    }
+
+    // The JSON convention only carries one call per reply
+    const text = message?.content ?? '';
+    if (!this.isToolCall(text)) return [];
+    const parsed = this.parseToolCall(text);
+    return [{ tool: parsed.tool, args: parsed.args }];
+  }
+
+  formatToolResult(result) {
+    return formatToolResult(result);
   }
 
   // Heuristic: detect {"action":"tool_call", ...} JSON inside model text
@@ -211,37 +743,107 @@ Available resources: ${this.mcp.getAvailableResources().join(', ')}`
     throw new Error('Could not parse tool call');
   }
 
-  async streamChat(message, model = null, onChunk) {
-    const useModel = model || this.defaultModel;
-    const instructions = this.configManager.getInstructions();
+  /**
+   * Expand an MCP prompt template and run it as a chat turn. Its messages are
+   * injected into the conversation; a trailing user message becomes the turn's
+   * input. Templates ending on an assistant message are only added to history,
+   * and resolve to { injected, response: null }.
+   */
+  async runPrompt(name, args = {}, model = null, options = {}) {
+    const { messages } = await this.mcp.getPrompt(name, args);
+    const converted = messages.map(msg => ({
+      role: msg.role,
+      content: this.formatPromptContent(msg.content)
+    }));
+
+    const last = converted[converted.length - 1];
+    if (!last || last.role !== 'user') {
+      (options.history ?? this.conversationHistory).push(...converted);
+      return { injected: converted.length, response: null, toolUsed: null, steps: [] };
+    }
 
-    const messages = [
-      {
-        role: 'system',
-        content: `${instructions.system}
+    return this.chat(last.content, model, { ...options, prelude: converted.slice(0, -1) });
+  }
 
-Available tools: ${this.mcp.getAvailableTools().join(', ')}
-Available resources: ${this.mcp.getAvailableResources().join(', ')}`
-      },
-      { role: 'user', content: message }
-    ];
+  // Prompt message content is text, an embedded resource, or an image/audio blob
+  formatPromptContent(content) {
+    switch (content?.type) {
+      case 'text':
+        return content.text;
+      case 'resource':
+        return content.resource.text ?? `[resource ${content.resource.uri} (${content.resource.mimeType || 'binary'})]`;
+      default:
+        return `[${content?.type || 'unknown'} content omitted]`;
+    }
+  }
 
-    const response = await this.ollama.chat({
+  /**
+   * Answer an MCP sampling/createMessage request with the local model. This is
+   * a plain completion: no history, no tools. The model is the server's
+   * configured sampling model, else the first installed model matching one of
+   * the server's hints, else the default model.
+   */
+  async createSamplingMessage(serverName, params, { signal, model } = {}) {
+    const useModel = model || await this.pickSamplingModel(params.modelPreferences?.hints) || this.defaultModel;
+
+    const messages = params.messages.map(msg => {
+      if (msg.content.type === 'image') {
+        return { role: msg.role, content: '', images: [msg.content.data] };
+      }
+      return { role: msg.role, content: msg.content.type === 'text' ? msg.content.text : `[${msg.content.type} content omitted]` };
+    });
+    if (params.systemPrompt) {
+      messages.unshift({ role: 'system', content: params.systemPrompt });
+    }
+
+    const response = await this.sendChat({
       model: useModel,
       messages,
-      stream: true
-    });
+      options: {
+        num_predict: params.maxTokens,
+        ...(params.temperature !== undefined ? { temperature: params.temperature } : {}),
+        ...(params.stopSequences?.length ? { stop: params.stopSequences } : {})
+      }
+    }, null, signal);
+
+    const text = (response.message?.content ?? '').replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+    return {
+      role: 'assistant',
+      content: { type: 'text', text },
+      model: useModel,
+      stopReason: response.done_reason === 'length' ? 'maxTokens' : 'endTurn'
+    };
+  }
 
-    let fullResponse = '';
-    for await (const chunk of response) {
-      fullResponse += chunk.message.content;
-      if (onChunk) onChunk(chunk.message.content);
+  // First installed model whose name contains one of the hints (e.g. "llama", "qwen")
+  async pickSamplingModel(hints = []) {
+    if (!hints?.length) return null;
+    try {
+      const { models } = await this.listModels();
+      for (const hint of hints) {
+        const match = hint.name && models.find(m => m.name.includes(hint.name));
+        if (match) return match.name;
+      }
+    } catch (error) {
+      console.warn('⚠️  Could not list models for sampling hints:', error.message);
     }
-    return fullResponse;
+    return null;
+  }
+
+  // Streams the text of a full chat turn (history and tools included) to onChunk
+  async streamChat(message, model = null, onChunk) {
+    const result = await this.chat(message, model, {
+      stream: true,
+      onEvent: event => {
+        if (event.type === 'token' && onChunk) onChunk(event.content);
+      }
+    });
+    return result.finalResponse ?? result.response;
   }
 
-  async listModels() {
-    return await this.ollama.list();
+  // Models on the connected Ollama server, or on `host` (an already resolved URL)
+  async listModels(host = null) {
+    return await (host ? new Ollama({ host }) : this.ollama).list();
   }
 
   clearConversationHistory() {
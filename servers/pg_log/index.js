@@ -1,6 +1,7 @@
 // servers/pg_log/index.js
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { z } from "zod";
 import pkg from "pg";
 const { Pool } = pkg;
 
@@ -20,7 +21,10 @@ server.registerTool(
   {
     title: "Insert a user/assistant pair into public.chat_log",
     description: "Writes a row (user_text, assistant_text) to chat_log",
-    // no inputSchema – keep it permissive
+    inputSchema: {
+      user_text: z.string().describe("What the user said"),
+      assistant_text: z.string().describe("What the assistant answered"),
+    },
   },
   async (args) => {
     const user_text = args?.user_text ?? args?.arguments?.user_text ?? "";
@@ -1,6 +1,11 @@
 // servers/weather/index.js
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { randomUUID } from "node:crypto";
+import http from "node:http";
+import { z } from "zod";
 
 // ---------------------------------------------------------------------------
 // Ensure fetch exists (Node <18 or quirky distros)
@@ -13,102 +18,240 @@ const UA = {
 };
 
 // ---------------------------------------------------------------------------
-// MCP server instance
-const server = new McpServer({ name: "weather", version: "1.1.0" });
-
-server.registerTool(
-  "get_current_weather",
-  {
-    title: "Get current weather",
-    description:
-      "Return temperature (°C), precipitation (mm) and weather code for a city"
-    // no inputSchema – we validate manually
-  },
-
-  // ⚠️  NOTE: parameter order is (context, input)
-  async (ctx, input) => {
-    try {
-      // Accept {city:"…"} OR {arguments:{city:"…"}}
-      const city =
-        (input?.city ||
-          input?.arguments?.city ||
-          /* fallback */ "").trim();
+// Geocode a city and fetch its current weather; null when the city is unknown.
+// onStep(step, message) is called before each of the two requests.
+async function fetchCurrentWeather(city, onStep = () => {}) {
+  /* ── 1. Geocode ─────────────────────────────────────────────── */
+  await onStep(0, `Looking up ${city}`);
+  const geoUrl =
+    "https://geocoding-api.open-meteo.com/v1/search" +
+    `?name=${encodeURIComponent(city)}&count=1&language=en&format=json`;
+
+  if (process.env.DEBUG_WEATHER)
+    console.error("[weather] geo URL:", geoUrl);
+
+  const geoRes = await safeFetch(geoUrl, { headers: UA });
+  if (!geoRes.ok) throw new Error(`Geocoding failed: ${geoRes.status}`);
+  const geoJson = await geoRes.json();
+
+  if (!geoJson.results?.length) return null;
+
+  const { latitude: lat, longitude: lon } = geoJson.results[0];
+
+  /* ── 2. Current weather ─────────────────────────────────────── */
+  await onStep(1, "Fetching current weather");
+  const wxUrl =
+    "https://api.open-meteo.com/v1/forecast" +
+    `?latitude=${lat}&longitude=${lon}` +
+    "&current=temperature_2m,weather_code,precipitation&timezone=auto";
+
+  if (process.env.DEBUG_WEATHER)
+    console.error("[weather] wx  URL:", wxUrl);
+
+  const wxRes = await safeFetch(wxUrl, { headers: UA });
+  if (!wxRes.ok) throw new Error(`Weather fetch failed: ${wxRes.status}`);
+  const wxJson = await wxRes.json();
+  const cur = wxJson.current ?? {};
+
+  return {
+    location: city,
+    latitude: lat,
+    longitude: lon,
+    temperature_c: cur.temperature_2m ?? null,
+    precipitation_mm: cur.precipitation ?? null,
+    weather_code: cur.weather_code ?? null
+  };
+}
+
+// ---------------------------------------------------------------------------
+// MCP server instance (one per stdio process, one per HTTP session)
+function createServer() {
+  const server = new McpServer({ name: "weather", version: "1.1.0" });
 
-      if (!city) {
+  server.registerTool(
+    "get_current_weather",
+    {
+      title: "Get current weather",
+      description:
+        "Return temperature (°C), precipitation (mm) and weather code for a city",
+      // published to clients so models see the exact argument names
+      inputSchema: {
+        city: z.string().describe("City name, e.g. \"Berlin\" or \"Addis Ababa\"")
+      }
+    },
+
+    // With an inputSchema the SDK calls us with (input, context)
+    async (input, extra) => {
+      try {
+        // Accept {city:"…"} OR {arguments:{city:"…"}}
+        const city =
+          (input?.city ||
+            input?.arguments?.city ||
+            /* fallback */ "").trim();
+
+        if (!city) {
+          return {
+            content: [
+              {
+                type: "text",
+                text:
+                  "Error: provide a non-empty 'city' string. " +
+                  `Debug: ${JSON.stringify({ input }, null, 2)}`
+              }
+            ]
+          };
+        }
+
+        // Report progress when the client asked for it (progressToken in _meta)
+        const progressToken = extra?._meta?.progressToken;
+        const onStep = (step, message) =>
+          progressToken !== undefined &&
+          extra.sendNotification({
+            method: "notifications/progress",
+            params: { progressToken, progress: step, total: 2, message }
+          });
+
+        const payload = await fetchCurrentWeather(city, onStep);
+        if (!payload) {
+          return {
+            content: [{ type: "text", text: `I couldn’t locate “${city}”.` }]
+          };
+        }
+
+        // Return as plain-text JSON so every MCP client can parse it
+        return { content: [{ type: "text", text: JSON.stringify(payload) }] };
+      } catch (err) {
+        console.error("weather-tool error:", err);
         return {
           content: [
             {
               type: "text",
               text:
-                "Error: provide a non-empty 'city' string. " +
-                `Debug: ${JSON.stringify({ input }, null, 2)}`
+                "Sorry, I couldn’t reach the weather service. " +
+                "Please try again in a moment."
             }
           ]
         };
       }
+    }
+  );
 
-      /* ── 1. Geocode ─────────────────────────────────────────────── */
-      const geoUrl =
-        "https://geocoding-api.open-meteo.com/v1/search" +
-        `?name=${encodeURIComponent(city)}&count=1&language=en&format=json`;
+  // Resource template: the same data, readable as weather://current/<city>
+  server.registerResource(
+    "current_weather",
+    new ResourceTemplate("weather://current/{city}", { list: undefined }),
+    {
+      title: "Current weather",
+      description: "Current weather for a city as JSON",
+      mimeType: "application/json"
+    },
+    async (uri, { city }) => {
+      const name = decodeURIComponent(city);
+      const payload = await fetchCurrentWeather(name);
+      if (!payload) throw new Error(`Unknown city: ${name}`);
+      return {
+        contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(payload) }]
+      };
+    }
+  );
 
-      if (process.env.DEBUG_WEATHER)
-        console.error("[weather] geo URL:", geoUrl);
+  // Prompt template: a ready-made request that makes the model use the tool
+  server.registerPrompt(
+    "forecast_report",
+    {
+      title: "Weather report",
+      description: "Ask for a short weather report for a city",
+      argsSchema: {
+        city: z.string().describe("City to report on"),
+        style: z.string().optional().describe("Tone of the report, e.g. \"brief\" or \"detailed\"")
+      }
+    },
+    ({ city, style }) => ({
+      messages: [
+        {
+          role: "user",
+          content: {
+            type: "text",
+            text:
+              `Check the current weather in ${city} and write a ${style || "brief"} ` +
+              "report: temperature, precipitation and what the weather code means."
+          }
+        }
+      ]
+    })
+  );
 
-      const geoRes = await safeFetch(geoUrl, { headers: UA });
-      if (!geoRes.ok) throw new Error(`Geocoding failed: ${geoRes.status}`);
-      const geoJson = await geoRes.json();
+  return server;
+}
 
-      if (!geoJson.results?.length) {
-        return {
-          content: [{ type: "text", text: `I couldn’t locate “${city}”.` }]
-        };
+// ---------------------------------------------------------------------------
+// Streamable HTTP mode: `node index.js --http` (PORT defaults to 3001)
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", chunk => (data += chunk));
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : undefined);
+      } catch (err) {
+        reject(err);
       }
+    });
+    req.on("error", reject);
+  });
+}
 
-      const { latitude: lat, longitude: lon } = geoJson.results[0];
-
-      /* ── 2. Current weather ─────────────────────────────────────── */
-      const wxUrl =
-        "https://api.open-meteo.com/v1/forecast" +
-        `?latitude=${lat}&longitude=${lon}` +
-        "&current=temperature_2m,weather_code,precipitation&timezone=auto";
-
-      if (process.env.DEBUG_WEATHER)
-        console.error("[weather] wx  URL:", wxUrl);
-
-      const wxRes = await safeFetch(wxUrl, { headers: UA });
-      if (!wxRes.ok) throw new Error(`Weather fetch failed: ${wxRes.status}`);
-      const wxJson = await wxRes.json();
-      const cur = wxJson.current ?? {};
-
-      /* ── 3. Return payload ──────────────────────────────────────── */
-      const payload = {
-        location: city,
-        latitude: lat,
-        longitude: lon,
-        temperature_c: cur.temperature_2m ?? null,
-        precipitation_mm: cur.precipitation ?? null,
-        weather_code: cur.weather_code ?? null
-      };
+async function startHttpServer(port) {
+  const transports = new Map(); // mcp-session-id -> transport
+
+  const httpServer = http.createServer(async (req, res) => {
+    if (new URL(req.url, "http://localhost").pathname !== "/mcp") {
+      res.writeHead(404).end("Not found");
+      return;
+    }
+
+    try {
+      const sessionId = req.headers["mcp-session-id"];
+      const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+      let transport = sessionId ? transports.get(sessionId) : undefined;
 
-      // Return as plain-text JSON so every MCP client can parse it
-      return { content: [{ type: "text", text: JSON.stringify(payload) }] };
+      // New sessions start with an initialize request
+      if (!transport) {
+        if (sessionId || !isInitializeRequest(body)) {
+          res.writeHead(400, { "Content-Type": "application/json" }).end(JSON.stringify({
+            jsonrpc: "2.0",
+            error: { code: -32000, message: "Bad Request: no valid session ID" },
+            id: null
+          }));
+          return;
+        }
+
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: id => transports.set(id, transport)
+        });
+        transport.onclose = () => {
+          if (transport.sessionId) transports.delete(transport.sessionId);
+        };
+        await createServer().connect(transport);
+      }
+
+      await transport.handleRequest(req, res, body);
     } catch (err) {
-      console.error("weather-tool error:", err);
-      return {
-        content: [
-          {
-            type: "text",
-            text:
-              "Sorry, I couldn’t reach the weather service. " +
-              "Please try again in a moment."
-          }
-        ]
-      };
+      console.error("weather-http error:", err);
+      if (!res.headersSent) res.writeHead(500).end();
     }
-  }
-);
+  });
+
+  httpServer.listen(port, () =>
+    console.error(`[weather] MCP over HTTP at http://localhost:${port}/mcp`)
+  );
+}
 
 // ---------------------------------------------------------------------------
-// Start server over stdio
-await server.connect(new StdioServerTransport());
+// Start server over stdio (default) or Streamable HTTP
+if (process.argv.includes("--http")) {
+  await startHttpServer(Number(process.env.PORT ?? 3001));
+} else {
+  await createServer().connect(new StdioServerTransport());
+}
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpolate, parseEnvFile } from '../config.js';
+
+test('interpolate replaces ${VAR} with the environment value', () => {
+  assert.equal(interpolate('${HOST}/api', { HOST: 'http://gpu:11434' }), 'http://gpu:11434/api');
+});
+
+test('interpolate uses the default when the variable is unset or empty', () => {
+  assert.equal(interpolate('${HOST:-http://localhost:11434}', {}), 'http://localhost:11434');
+  assert.equal(interpolate('${HOST:-http://localhost:11434}', { HOST: '' }), 'http://localhost:11434');
+  assert.equal(interpolate('${HOST:-}', {}), '');
+});
+
+test('interpolate reports an unset variable without a default with its config key', () => {
+  assert.throws(() => interpolate({ env: { API_KEY: '${API_KEY}' } }, {}, 'mcpServers.weather'),
+    { message: 'Environment variable API_KEY is not set (used in mcpServers.weather.env.API_KEY)' });
+});
+
+test('interpolate walks objects and arrays and keeps other values', () => {
+  const env = { DIR: '/data', PORT: '3001' };
+  assert.deepEqual(
+    interpolate({ args: ['--root', '${DIR}'], url: 'http://localhost:${PORT}/mcp', disabled: false, retries: 3 }, env),
+    { args: ['--root', '/data'], url: 'http://localhost:3001/mcp', disabled: false, retries: 3 }
+  );
+});
+
+test('parseEnvFile reads KEY=value lines with export, comments and blank lines', () => {
+  const vars = parseEnvFile([
+    '# comment',
+    '',
+    'OLLAMA_HOST=http://gpu:11434',
+    'export API_KEY = abc123  # trailing comment',
+    'not a variable'
+  ].join('\n'));
+  assert.deepEqual(vars, { OLLAMA_HOST: 'http://gpu:11434', API_KEY: 'abc123' });
+});
+
+test('parseEnvFile unquotes values and expands \\n only in double quotes', () => {
+  const vars = parseEnvFile('A="two\\nlines # kept"\r\nB=\'raw\\n\'\nC=');
+  assert.deepEqual(vars, { A: 'two\nlines # kept', B: 'raw\\n', C: '' });
+});
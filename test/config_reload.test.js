@@ -0,0 +1,145 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep the user's real ~/.config/ollamaton out of these tests
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'ollamaton-home-'));
+process.env.HOME = home;
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+const { ConfigManager, diffConfig, GLOBAL_CONFIG_PATH } = await import('../config.js');
+
+function quiet(t) {
+  for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data));
+}
+
+// A ConfigManager loaded from a project file (and optional global / local files) in a fresh directory
+async function loadLayers(t, { global, project, local }, profile = null) {
+  quiet(t);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ollamaton-config-'));
+  t.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(GLOBAL_CONFIG_PATH, { force: true });
+  });
+  if (global) writeJson(GLOBAL_CONFIG_PATH, global);
+  const configPath = path.join(dir, 'mcp_config.json');
+  writeJson(configPath, project);
+  if (local) writeJson(path.join(dir, 'mcp_config.local.json'), local);
+  const manager = new ConfigManager();
+  await manager.loadConfig(configPath, profile);
+  return { manager, configPath };
+}
+
+test('diffConfig is null for equal configs', () => {
+  const config = { ollama: { host: 'h' }, mcpServers: { a: { command: 'x' } } };
+  assert.equal(diffConfig(config, structuredClone(config)), null);
+});
+
+test('diffConfig lists changed ollama keys and added, removed and changed servers', () => {
+  const before = {
+    ollama: { host: 'h', defaultModel: 'm' },
+    instructions: { system: 's' },
+    mcpServers: { kept: { command: 'x' }, edited: { command: 'y' }, gone: { command: 'z' } }
+  };
+  const after = {
+    ollama: { host: 'h', defaultModel: 'other', contextLength: 8192 },
+    instructions: { system: 's' },
+    roots: ['/data'],
+    mcpServers: { kept: { command: 'x' }, edited: { command: 'y', args: ['--verbose'] }, fresh: { command: 'n' } }
+  };
+  assert.deepEqual(diffConfig(before, after), {
+    ollama: ['defaultModel', 'contextLength'],
+    instructions: false,
+    roots: true,
+    servers: { added: ['fresh'], removed: ['gone'], changed: ['edited'] }
+  });
+});
+
+test('layers merge deeply: objects merge, arrays and scalars replace, sources are kept', async t => {
+  const { manager, configPath } = await loadLayers(t, {
+    global: { ollama: { host: 'http://gpu:11434', defaultModel: 'global-model' } },
+    project: {
+      ollama: { defaultModel: 'project-model' },
+      mcpServers: { weather: { command: 'node', args: ['weather.js', '--http'], env: { UNITS: 'metric' } } }
+    },
+    local: { mcpServers: { weather: { args: ['weather.js'], env: { API_KEY: '${API_KEY}' } } } }
+  });
+
+  assert.deepEqual(manager.validationErrors, []);
+  assert.equal(manager.getOllamaConfig().host, 'http://gpu:11434');
+  assert.equal(manager.getOllamaConfig().defaultModel, 'project-model');
+  assert.equal(manager.getOllamaConfig().maxToolIterations, 5, 'defaults stay underneath');
+  assert.deepEqual(manager.getMCPServers().weather, {
+    command: 'node',
+    args: ['weather.js'],
+    env: { UNITS: 'metric', API_KEY: '${API_KEY}' }
+  });
+  assert.equal(manager.getSource('ollama.host'), `global: ${GLOBAL_CONFIG_PATH}`);
+  assert.equal(manager.getSource('ollama.defaultModel'), `project: ${configPath}`);
+  assert.equal(manager.getSource('mcpServers.weather.args'), `local: ${path.join(path.dirname(configPath), 'mcp_config.local.json')}`);
+});
+
+test('a profile is merged over every file', async t => {
+  const { manager } = await loadLayers(t, {
+    project: {
+      ollama: { host: 'http://localhost:11434' },
+      mcpServers: { weather: { command: 'node' } },
+      profiles: { gpu: { ollama: { host: 'http://gpu:11434' }, mcpServers: { weather: { disabled: true } } } }
+    }
+  }, 'gpu');
+
+  assert.equal(manager.profile, 'gpu');
+  assert.equal(manager.getOllamaConfig().host, 'http://gpu:11434');
+  assert.deepEqual(manager.getMCPServers().weather, { command: 'node', disabled: true });
+  assert.equal(manager.getSource('ollama.host'), 'profile gpu');
+});
+
+test('a merged config that is incomplete is reported', async t => {
+  const { manager } = await loadLayers(t, {
+    project: { mcpServers: {} },
+    local: { mcpServers: { weather: { args: ['weather.js'] } } }
+  });
+  assert.deepEqual(manager.validationErrors.map(error => `${error.file}: ${error.path}`), ['(merged config): mcpServers.weather.command']);
+});
+
+test('reload applies a valid edit and reports what changed', async t => {
+  const { manager, configPath } = await loadLayers(t, {
+    project: { mcpServers: { a: { command: 'node' }, b: { command: 'node' } } }
+  });
+  const emitted = [];
+  manager.on('changed', changes => emitted.push(changes));
+
+  writeJson(configPath, { mcpServers: { a: { command: 'node', args: ['--inspect'] }, c: { type: 'http', url: 'http://localhost:3001/mcp' } } });
+  const changes = manager.reload();
+
+  assert.deepEqual(changes.servers, { added: ['c'], removed: ['b'], changed: ['a'] });
+  assert.deepEqual(emitted, [changes]);
+  assert.deepEqual(Object.keys(manager.getMCPServers()), ['a', 'c']);
+  assert.equal(manager.reload(), null, 'nothing changed since');
+});
+
+test('reload keeps the running config when an edit does not parse or validate', async t => {
+  const { manager, configPath } = await loadLayers(t, {
+    project: { ollama: { defaultModel: 'm' }, mcpServers: { a: { command: 'node' } } }
+  });
+  const invalid = [];
+  manager.on('invalid', errors => invalid.push(errors));
+  manager.on('changed', () => assert.fail('no change expected'));
+  const before = structuredClone(manager.effective);
+
+  fs.writeFileSync(configPath, '{ "mcpServers": ');
+  assert.equal(manager.reload(), null);
+  writeJson(configPath, { ollama: { defaltModel: 'x' }, mcpServers: { a: { args: ['x'] } } });
+  assert.equal(manager.reload(), null);
+
+  assert.deepEqual(manager.effective, before);
+  assert.equal(invalid.length, 2);
+  assert.equal(invalid[0][0].file, configPath);
+  assert.deepEqual(invalid[1].map(error => error.path), ['ollama.defaltModel']);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConfig, formatErrors, formatPath, serverSchema, layerSchema } from '../config_schema.js';
+
+test('a complete config is valid', () => {
+  assert.deepEqual(validateConfig({
+    mcpServers: {
+      weather: { command: 'node', args: ['weather.js'], env: { API_KEY: '${API_KEY}' } },
+      remote: { type: 'http', url: 'http://localhost:3001/mcp' }
+    },
+    ollama: { host: '${OLLAMA_HOST:-http://localhost:11434}', defaultModel: 'llama3.2', contextLength: 8192 },
+    instructions: { system: 'Be brief.' }
+  }), []);
+});
+
+test('unknown keys get a did-you-mean hint', () => {
+  const errors = validateConfig({ mcpServers: { weather: { command: 'node', arg: ['x'] } }, ollama: { defaltModel: 'llama3.2' } });
+  assert.deepEqual(errors, [
+    { path: 'mcpServers.weather.arg', message: 'Unknown key (did you mean "args"?)' },
+    { path: 'ollama.defaltModel', message: 'Unknown key (did you mean "defaultModel"?)' }
+  ]);
+});
+
+test('a key differing only in case is suggested', () => {
+  assert.deepEqual(validateConfig({ mcpServers: {}, Ollama: {} }), [
+    { path: 'Ollama', message: 'Unknown key (did you mean "ollama"?)' }
+  ]);
+});
+
+test('unknown keys without a close match list the expected ones', () => {
+  const [error] = validateConfig({ instructions: { greeting: 'hi' } });
+  assert.equal(error.path, 'instructions.greeting');
+  assert.equal(error.message, 'Unknown key (expected one of: system, followUp)');
+});
+
+test('stdio servers need a command, http and sse servers a url', () => {
+  assert.deepEqual(validateConfig({ args: ['x'] }, serverSchema, ['mcpServers', 'a']), [
+    { path: 'mcpServers.a.command', message: 'Required for stdio servers' }
+  ]);
+  assert.deepEqual(validateConfig({ url: 'http://x' }, serverSchema), [
+    { path: 'command', message: 'Required for stdio servers (add "type": "http" or "sse" to use the url)' }
+  ]);
+  assert.deepEqual(validateConfig({ type: 'sse' }, serverSchema), [
+    { path: 'url', message: 'Required for sse servers' }
+  ]);
+});
+
+test('a layer may hold partial server entries, the merged config may not', () => {
+  const layer = { mcpServers: { weather: { disabled: true } } };
+  assert.deepEqual(validateConfig(layer, layerSchema), []);
+  assert.deepEqual(validateConfig(layer).map(error => error.path), ['mcpServers.weather.command']);
+});
+
+test('wrong types and invalid routing rules are reported with their path', () => {
+  const errors = validateConfig({
+    ollama: { contextLength: -1, routing: [{ model: 'small', match: '(', options: { temprature: 0 } }] }
+  });
+  assert.deepEqual(errors.map(error => error.path).sort(), [
+    'ollama.contextLength',
+    'ollama.routing[0].match',
+    'ollama.routing[0].options.temprature'
+  ]);
+  assert.equal(errors.find(error => error.path === 'ollama.routing[0].match').message, 'Not a valid regular expression');
+  assert.equal(errors.find(error => error.path === 'ollama.routing[0].options.temprature').message, 'Unknown key (did you mean "temperature"?)');
+});
+
+test('formatPath and formatErrors', () => {
+  assert.equal(formatPath(['mcpServers', 'weather', 'args', 0]), 'mcpServers.weather.args[0]');
+  assert.deepEqual(formatErrors([
+    { file: 'mcp_config.json', path: 'ollama.host', message: 'Expected string' },
+    { path: '', message: 'Unexpected token' }
+  ]), ['mcp_config.json: ollama.host: Expected string', '(root): Unexpected token']);
+});
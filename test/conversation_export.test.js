@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConversation, addTurn } from '../conversation_store.js';
+import { exportConversation, parseConversation, conversationFromExport, formatForFile, exportFileName } from '../conversation_export.js';
+import { formatToolResult } from '../ollama_integration.js';
+
+const forecast = { content: [{ type: 'text', text: 'Sunny, 21°C' }] };
+
+// One plain turn and one with two tool calls in the same round
+function sampleConversation() {
+  const conversation = createConversation();
+  conversation.history.push(
+    { role: 'user', content: 'Hello' },
+    { role: 'assistant', content: 'Hi!' }
+  );
+  addTurn(conversation, { content: 'Hello' }, { response: 'Hi!', model: 'llama3.2', durationMs: 120 });
+  addTurn(conversation, { content: 'Weather in Berlin and Oslo?' }, {
+    response: 'Sunny in Berlin; Oslo failed.',
+    model: 'llama3.2',
+    durationMs: 900,
+    steps: [
+      { tool: 'weather.forecast', args: { city: 'Berlin' }, result: forecast, durationMs: 300, iteration: 1 },
+      { tool: 'weather.forecast', args: { city: 'Oslo' }, error: 'timeout', durationMs: 500, iteration: 1 }
+    ]
+  });
+  return conversation;
+}
+
+test('a JSON export imports back to the same conversation', () => {
+  const conversation = sampleConversation();
+  const imported = parseConversation(exportConversation(conversation, 'json'));
+  assert.deepEqual(imported, JSON.parse(JSON.stringify(conversation)));
+});
+
+test('an export without history gets it rebuilt from the transcript', () => {
+  const { history, ...rest } = JSON.parse(exportConversation(sampleConversation(), 'json'));
+  const imported = conversationFromExport(rest);
+  assert.deepEqual(imported.history, [
+    { role: 'user', content: 'Hello' },
+    { role: 'assistant', content: 'Hi!' },
+    { role: 'user', content: 'Weather in Berlin and Oslo?' },
+    {
+      role: 'assistant',
+      content: '',
+      tool_calls: [
+        { function: { name: 'weather.forecast', arguments: { city: 'Berlin' } } },
+        { function: { name: 'weather.forecast', arguments: { city: 'Oslo' } } }
+      ]
+    },
+    { role: 'tool', content: formatToolResult(forecast), tool_name: 'weather.forecast' },
+    { role: 'tool', content: 'Error: timeout', tool_name: 'weather.forecast' },
+    { role: 'assistant', content: 'Sunny in Berlin; Oslo failed.' }
+  ]);
+});
+
+test('a JSONL export is one example with OpenAI-style tool calls', () => {
+  const text = exportConversation(sampleConversation(), 'jsonl', { systemPrompt: 'Be brief.' });
+  assert.equal(text.trim().split('\n').length, 1);
+  const { messages } = JSON.parse(text);
+  assert.deepEqual(messages.map(message => message.role), ['system', 'user', 'assistant', 'user', 'assistant', 'tool', 'tool', 'assistant']);
+  const calls = messages[4].tool_calls;
+  assert.deepEqual(calls.map(call => call.function.arguments), ['{"city":"Berlin"}', '{"city":"Oslo"}']);
+  assert.deepEqual(messages.slice(5, 7).map(message => message.tool_call_id), calls.map(call => call.id));
+  assert.equal(messages[5].content, formatToolResult(forecast));
+});
+
+test('the Markdown export shows tool calls, results and errors', () => {
+  const markdown = exportConversation(sampleConversation(), 'markdown');
+  assert.match(markdown, /^# Hello\n/);
+  assert.match(markdown, /### 🔧 weather\.forecast \(300 ms\)/);
+  assert.match(markdown, /"text": "Sunny, 21°C"/);
+  assert.match(markdown, /❌ Error: timeout/);
+  assert.match(markdown, /\*\*Answer:\*\*\n\nSunny in Berlin; Oslo failed\./);
+});
+
+test('imports reject other files and invalid fields', () => {
+  const valid = JSON.parse(exportConversation(sampleConversation(), 'json'));
+  const invalid = changes => () => conversationFromExport({ ...valid, ...changes });
+
+  assert.throws(() => parseConversation('{ nope'), /Not a JSON conversation export/);
+  assert.throws(invalid({ format: 'other' }), /Not a conversation export/);
+  assert.throws(invalid({ version: 99 }), /newer than this version supports/);
+  assert.throws(invalid({ title: 42 }), /Invalid conversation export: title: /);
+  assert.throws(invalid({ transcript: undefined }), /Invalid conversation export: transcript: Required/);
+  assert.throws(invalid({ transcript: [{ role: 'system', content: 'x' }] }), /transcript\[0\]\.role/);
+  assert.throws(invalid({ transcript: [{ role: 'user' }] }), /transcript\[0\]\.content: Required/);
+  assert.throws(invalid({ history: [{ role: 'user', content: { html: '<b>' } }] }), /history\[0\]\.content/);
+});
+
+test('file names pick the format and come from the title', () => {
+  assert.equal(formatForFile('chat.md'), 'markdown');
+  assert.equal(formatForFile('chat.JSONL'), 'jsonl');
+  assert.equal(formatForFile('chat.txt'), 'json');
+  assert.equal(exportFileName({ title: 'Weather in Berlin?' }, 'markdown'), 'weather-in-berlin.md');
+  assert.equal(exportFileName({ title: '???' }, 'json'), 'conversation.json');
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ConversationStore } from '../conversation_store.js';
+
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new ConversationStore(dir);
+}
+
+test('list skips files that are not valid conversations', t => {
+  const store = tempStore(t);
+  const conversation = store.create('Kept');
+  fs.writeFileSync(path.join(store.dir, 'not a valid id.json'), '{}');
+  fs.writeFileSync(path.join(store.dir, 'broken.json'), '{ nope');
+  fs.writeFileSync(path.join(store.dir, 'other.json'), '{"hello":"world"}');
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  assert.deepEqual(store.list().map(summary => summary.id), [conversation.id]);
+});
+
+test('list orders conversations by last use', t => {
+  const store = tempStore(t);
+  const older = store.create('Older');
+  const newer = store.create('Newer');
+  older.updatedAt = '2000-01-01T00:00:00.000Z';
+  newer.updatedAt = '2001-01-01T00:00:00.000Z';
+
+  assert.deepEqual(store.list().map(summary => summary.title), ['Newer', 'Older']);
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MCPManager, normalizeElicitationContent } from '../mcp_client.js';
+
+// A stand-in for an MCP SDK Client: lists `names` and records each call
+function fakeClient(names) {
+  const calls = [];
+  return {
+    calls,
+    listTools: async () => ({ tools: names.map(name => ({ name, inputSchema: { type: 'object' } })) }),
+    callTool: async (request, schema, options) => {
+      calls.push({ request, options });
+      return { content: [{ type: 'text', text: request.name }] };
+    }
+  };
+}
+
+async function managerWithTools(t, servers) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const manager = new MCPManager({ getMCPServers: () => ({}) });
+  const clients = {};
+  for (const [server, names] of Object.entries(servers)) {
+    clients[server] = fakeClient(names);
+    await manager.loadServerTools(server, clients[server]);
+  }
+  return { manager, clients };
+}
+
+test('tools are registered under server-qualified ids', async t => {
+  const { manager } = await managerWithTools(t, { weather: ['forecast', 'alerts'], pg_log: ['log_chat'] });
+  assert.deepEqual(manager.getAvailableTools(), ['weather.forecast', 'weather.alerts', 'pg_log.log_chat']);
+  assert.equal(manager.resolveTool('weather.alerts').serverName, 'weather');
+});
+
+test('a bare name resolves when only one server has the tool', async t => {
+  const { manager } = await managerWithTools(t, { weather: ['forecast'], pg_log: ['log_chat'] });
+  const { id, serverName, tool } = manager.resolveTool('log_chat');
+  assert.deepEqual({ id, serverName, name: tool.name }, { id: 'pg_log.log_chat', serverName: 'pg_log', name: 'log_chat' });
+});
+
+test('a bare name two servers share is ambiguous and lists the qualified ids', async t => {
+  const { manager } = await managerWithTools(t, { a: ['search'], b: ['search'] });
+  assert.throws(() => manager.resolveTool('search'), { message: "Tool 'search' is ambiguous; use one of: a.search, b.search" });
+  assert.equal(manager.getToolInfo('search'), null);
+  assert.equal(manager.getToolInfo('b.search').name, 'search');
+});
+
+test('an unknown tool is reported by name', async t => {
+  const { manager } = await managerWithTools(t, { weather: ['forecast'] });
+  assert.throws(() => manager.resolveTool('weather.nope'), { message: "Tool 'weather.nope' not found" });
+  await assert.rejects(manager.callTool('nope'), { message: "Tool 'nope' not found" });
+});
+
+test('callTool sends the plain tool name to the server that owns it', async t => {
+  const { manager, clients } = await managerWithTools(t, { a: ['search'], b: ['search'] });
+  manager.servers.set('b', { config: { toolTimeouts: { search: 1234 } } });
+
+  const result = await manager.callTool('b.search', { q: 'x' });
+  assert.deepEqual(result.content[0].text, 'search');
+  assert.equal(clients.a.calls.length, 0);
+  assert.deepEqual(clients.b.calls[0].request, { name: 'search', arguments: { q: 'x' } });
+  assert.equal(clients.b.calls[0].options.timeout, 1234);
+});
+
+test('reloading a server replaces only its own tools', async t => {
+  const { manager } = await managerWithTools(t, { a: ['one', 'two'], b: ['one'] });
+  await manager.loadServerTools('a', fakeClient(['three']));
+  assert.deepEqual(manager.getAvailableTools().sort(), ['a.three', 'b.one']);
+  assert.equal(manager.resolveTool('one').id, 'b.one');
+});
+
+test('a config change restarts only the added and changed servers', async t => {
+  const configured = { kept: { command: 'node' }, edited: { command: 'node', args: ['--verbose'] }, fresh: { type: 'http', url: 'http://x' }, parked: { command: 'node', disabled: true } };
+  const manager = new MCPManager({ getMCPServers: () => configured });
+  const stopped = [];
+  const started = [];
+  t.mock.method(manager, 'stopServer', async name => { stopped.push(name); });
+  t.mock.method(manager, 'startServer', async name => { started.push(name); });
+  t.mock.method(manager, 'notifyRootsChanged', async () => {});
+  manager.servers.set('gone', { state: 'ready' });
+
+  await manager.applyConfigChanges({ servers: { added: ['fresh', 'parked'], removed: ['gone'], changed: ['edited'] }, roots: false });
+
+  assert.deepEqual(stopped, ['gone', 'edited', 'fresh', 'parked']);
+  assert.deepEqual(started, ['edited', 'fresh']);
+  assert.equal(manager.servers.has('gone'), false);
+  assert.equal(manager.servers.get('parked').state, 'disabled');
+  assert.equal(manager.notifyRootsChanged.mock.callCount(), 0);
+
+  await manager.applyConfigChanges({ servers: { added: [], removed: [], changed: [] }, roots: true });
+  assert.deepEqual(started, ['edited', 'fresh'], 'roots alone restart nothing');
+  assert.equal(manager.notifyRootsChanged.mock.callCount(), 1);
+});
+
+const bookingSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 2, maxLength: 10 },
+    guests: { type: 'integer', minimum: 1, maximum: 8 },
+    budget: { type: 'number' },
+    breakfast: { type: 'boolean' },
+    room: { type: 'string', enum: ['single', 'double'] }
+  },
+  required: ['name', 'guests']
+};
+
+test('elicitation answers are coerced to the schema types', () => {
+  assert.deepEqual(
+    normalizeElicitationContent(bookingSchema, { name: 'Ada', guests: '2', budget: '99.5', breakfast: 'yes', room: 'double' }),
+    { name: 'Ada', guests: 2, budget: 99.5, breakfast: true, room: 'double' }
+  );
+  assert.deepEqual(
+    normalizeElicitationContent(bookingSchema, { name: 'Ada', guests: 3, breakfast: 'no', extra: 'ignored' }),
+    { name: 'Ada', guests: 3, breakfast: false }
+  );
+  assert.equal(normalizeElicitationContent(bookingSchema, { name: 'Ada', guests: 1, breakfast: false }).breakfast, false);
+});
+
+test('missing or empty required fields are rejected, optional ones left out', () => {
+  assert.throws(() => normalizeElicitationContent(bookingSchema, { guests: 2 }), { message: "'name' is required" });
+  assert.throws(() => normalizeElicitationContent(bookingSchema, { name: 'Ada', guests: '' }), { message: "'guests' is required" });
+  assert.throws(() => normalizeElicitationContent(bookingSchema), { message: "'name' is required" });
+  assert.deepEqual(normalizeElicitationContent(bookingSchema, { name: 'Ada', guests: 2, room: '' }), { name: 'Ada', guests: 2 });
+});
+
+test('enum, number and length limits are checked', () => {
+  const base = { name: 'Ada', guests: 2 };
+  assert.throws(() => normalizeElicitationContent(bookingSchema, { ...base, room: 'suite' }), { message: "'room' must be one of: single, double" });
+  assert.throws(() => normalizeElicitationContent(bookingSchema, { ...base, guests: 'two' }), { message: "'guests' must be an integer" });
+  assert.throws(() => normalizeElicitationContent(bookingSchema, { ...base, guests: 2.5 }), { message: "'guests' must be an integer" });
+  assert.throws(() => normalizeElicitationContent(bookingSchema, { ...base, budget: 'lots' }), { message: "'budget' must be a number" });
+  assert.throws(() => normalizeElicitationContent(bookingSchema, { ...base, guests: 0 }), { message: "'guests' must be at least 1" });
+  assert.throws(() => normalizeElicitationContent(bookingSchema, { ...base, guests: 9 }), { message: "'guests' must be at most 8" });
+  assert.throws(() => normalizeElicitationContent(bookingSchema, { ...base, name: 'A' }), { message: "'name' must be at least 2 characters" });
+  assert.throws(() => normalizeElicitationContent(bookingSchema, { ...base, name: 'Ada Lovelace' }), { message: "'name' must be at most 10 characters" });
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OllamaWithMCP } from '../ollama_integration.js';
+
+// An OllamaWithMCP whose MCP manager and Ollama client are stubs; `chat` answers each request
+function createClient({ contextLength = 4096, tools = {}, ollama = {}, chat } = {}) {
+  const ollamaConfig = { defaultModel: 'test-model', ...ollama };
+  const configManager = {
+    getOllamaConfig: () => ollamaConfig,
+    getResolvedOllamaHost: () => null,
+    getInstructions: () => ({ system: 'You are a test.', followUp: 'Result: {TOOL_RESULT}' })
+  };
+  const mcpManager = {
+    setSamplingHandler() {},
+    getAvailableTools: () => Object.keys(tools),
+    getToolInfo: name => ({ name, description: name, inputSchema: { type: 'object', properties: {} } }),
+    getAvailableResources: () => [],
+    getResourceTemplates: () => [],
+    callTool: (name, args) => tools[name](args)
+  };
+  const client = new OllamaWithMCP(mcpManager, configManager);
+  const requests = [];
+  client.ollama = {
+    show: async () => ({ model_info: { 'test.context_length': contextLength } }),
+    chat: async request => {
+      requests.push(request);
+      return chat(request, requests.length);
+    }
+  };
+  return { client, requests };
+}
+
+const reply = content => ({ message: { role: 'assistant', content } });
+
+test('a message that does not fit the context window is refused before anything is sent', async () => {
+  const { client, requests } = createClient({ contextLength: 1000, chat: () => reply('ok') });
+  await assert.rejects(client.chat('x'.repeat(8000), null, { history: [] }),
+    /needs about 2\d{3} tokens, but the 1000-token context of test-model leaves room for \d+/);
+  assert.equal(requests.length, 0);
+});
+
+test('history is dropped, not summarized, when the turn leaves no room for a summary', async t => {
+  t.mock.method(console, 'log', () => {});
+  const { client, requests } = createClient({ contextLength: 1000, chat: () => reply('ok') });
+  const history = Array.from({ length: 10 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: 'y'.repeat(400) }));
+  const result = await client.chat('z'.repeat(2600), null, { history });
+
+  assert.equal(result.response, 'ok');
+  assert.equal(requests.length, 1, 'no summary request');
+  assert.equal(requests[0].messages.at(-1).content, 'z'.repeat(2600));
+});
+
+test('tool calls of one turn run in parallel up to the limit and keep their order', async t => {
+  t.mock.method(console, 'log', () => {});
+  let running = 0;
+  let maxRunning = 0;
+  const delays = [40, 10, 30, 0, 20];
+  const tools = {
+    'demo.wait': async ({ n }) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, delays[n]));
+      running--;
+      return { content: [{ type: 'text', text: `done ${n}` }] };
+    }
+  };
+  const toolCalls = delays.map((_, n) => ({ function: { name: 'demo.wait', arguments: { n } } }));
+  const { client, requests } = createClient({
+    tools,
+    ollama: { maxParallelToolCalls: 2 },
+    chat: (request, count) => (count === 1 ? { message: { role: 'assistant', content: '', tool_calls: toolCalls } } : reply('all done'))
+  });
+
+  const result = await client.chat('wait for everything', null, { history: [] });
+
+  assert.equal(maxRunning, 2);
+  assert.deepEqual(result.steps.map(step => step.args.n), [0, 1, 2, 3, 4]);
+  assert.deepEqual(requests[1].messages.filter(message => message.role === 'tool').map(message => message.content),
+    ['done 0', 'done 1', 'done 2', 'done 3', 'done 4']);
+  assert.equal(result.finalResponse, 'all done');
+});
+
+test('maxParallelToolCalls 1 runs tool calls one after another', async t => {
+  t.mock.method(console, 'log', () => {});
+  const order = [];
+  const tools = {
+    'demo.step': async ({ n }) => {
+      order.push(`start ${n}`);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      order.push(`end ${n}`);
+      return { content: [{ type: 'text', text: String(n) }] };
+    }
+  };
+  const toolCalls = [0, 1, 2].map(n => ({ function: { name: 'demo.step', arguments: { n } } }));
+  const { client } = createClient({
+    tools,
+    chat: (request, count) => (count === 1 ? { message: { role: 'assistant', content: '', tool_calls: toolCalls } } : reply('ok'))
+  });
+
+  await client.chat('go', null, { history: [], maxParallelToolCalls: 1 });
+  assert.deepEqual(order, ['start 0', 'end 0', 'start 1', 'end 1', 'start 2', 'end 2']);
+});
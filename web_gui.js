@@ -1,13 +1,28 @@
 import express from 'express';
-import { MCPManager } from './mcp_client.js';
+import { MCPManager, normalizeElicitationContent } from './mcp_client.js';
 import { OllamaWithMCP } from './ollama_integration.js';
 import { ConfigManager } from './config.js';
+import { validateConfig, serverSchema, modelOptionsSchema, formatErrors } from './config_schema.js';
+import { ConversationStore } from './conversation_store.js';
+import { EXPORT_FORMATS, exportConversation, exportFileName, conversationFromExport } from './conversation_export.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+
+// AbortSignal that fires when the client goes away before the response is finished
+function disconnectSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const STDIO_NOT_ALLOWED = 'Starting stdio servers through the API is off; restart the GUI with --allow-stdio-servers to allow it';
+
 class OllamaMCPWebGUI {
   constructor() {
     this.app = express();
@@ -15,6 +30,12 @@ class OllamaMCPWebGUI {
     this.mcpManager = null;
     this.ollamaClient = null;
     this.port = 3000;
+    // Local only unless --host says otherwise: the API can run tools and change the config
+    this.host = process.argv.find(arg => arg.startsWith('--host='))?.split('=')[1] || '127.0.0.1';
+    this.allowStdioServers = process.argv.includes('--allow-stdio-servers');
+    this.eventClients = new Set();   // open /api/events responses
+    this.conversations = new ConversationStore(path.resolve('conversations'));
+    this.pendingRequests = new Map();  // id -> { data, answer(…) } for sampling / elicitation questions
   }
 
   async initialize() {
@@ -24,14 +45,21 @@ class OllamaMCPWebGUI {
       // Initialize configuration
       this.configManager = new ConfigManager();
       const configPath = process.argv.find(arg => arg.startsWith('--config='))?.split('=')[1];
-      await this.configManager.loadConfig(configPath);
+      const profile = process.argv.find(arg => arg.startsWith('--profile='))?.split('=')[1];
+      await this.configManager.loadConfig(configPath, profile, { readOnly: process.argv.includes('--read-only') });
       this.configManager.printConfigInfo();
       
       // Initialize MCP
       this.mcpManager = new MCPManager(this.configManager);
+      this.watchMCPManager();
       await this.mcpManager.initializeServers();
       
       this.ollamaClient = new OllamaWithMCP(this.mcpManager, this.configManager);
+
+      // Hand edits of the config files apply without a restart
+      this.configManager.on('changed', changes => this.applyConfigChanges(changes));
+      this.configManager.on('invalid', errors => this.broadcast('config_error', { errors: formatErrors(errors) }));
+      this.configManager.watch();
       
       console.log('✅ MCP System ready!');
       console.log(`📋 Available tools: ${this.mcpManager.getAvailableTools().length}`);
@@ -45,28 +73,130 @@ class OllamaMCPWebGUI {
     }
   }
 
+  // Run a message or MCP prompt in a conversation, then persist it. A `model` in
+  // the request becomes the conversation's model ("" or null: default / routing).
+  async runConversationTurn(conversation, { message, prompt, attachments, model, options: modelOptions }, options) {
+    if (model !== undefined) conversation.model = model || null;
+    const turnOptions = { ...options, attachments, modelOptions, history: conversation.history };
+    const result = prompt?.name
+      ? await this.ollamaClient.runPrompt(prompt.name, prompt.args || {}, conversation.model, turnOptions)
+      : await this.ollamaClient.chat(message, conversation.model, turnOptions);
+
+    const user = prompt?.name
+      ? { content: `/prompt ${prompt.name} ${Object.entries(prompt.args || {}).map(([key, value]) => `${key}=${value}`).join(' ')}`.trim() }
+      : { content: message, ...(attachments?.length ? { attachments } : {}) };
+    this.conversations.recordTurn(conversation, user, result);
+    return { ...result, conversationId: conversation.id, title: conversation.title };
+  }
+
+  // Config files changed on disk: update the model/host, restart changed servers, tell the tabs
+  async applyConfigChanges(changes) {
+    try {
+      this.ollamaClient.applyConfigChanges(changes);
+      await this.mcpManager.applyConfigChanges(changes);
+    } catch (error) {
+      console.error('❌ Error applying config changes:', error.message);
+    }
+    this.broadcast('config_changed', { profile: this.configManager.profile, changes });
+  }
+
+  // Reconnect every MCP server from the current configuration
+  async restartMCP() {
+    await this.mcpManager.close();
+    this.mcpManager = new MCPManager(this.configManager);
+    this.watchMCPManager();
+    await this.mcpManager.initializeServers();
+    this.ollamaClient.attachMCPManager(this.mcpManager);
+  }
+
+  // Forward MCP list changes to every open GUI tab
+  watchMCPManager() {
+    this.mcpManager.on('toolsChanged', ({ server }) => this.broadcast('tools_changed', { server }));
+    this.mcpManager.on('resourcesChanged', ({ server }) => this.broadcast('resources_changed', { server }));
+    this.mcpManager.on('promptsChanged', ({ server }) => this.broadcast('prompts_changed', { server }));
+    this.mcpManager.setSamplingApprover(request => this.requestSamplingApproval(request));
+    this.mcpManager.setElicitationHandler(request => this.askGui('elicitation_request', request, { action: 'cancel' }));
+  }
+
+  /**
+   * Push a question to the open GUI tabs and wait for the first answer
+   * (POSTed back with the request id). Without an open tab, or without an
+   * answer within a minute, resolves to `fallback`.
+   */
+  askGui(event, data, fallback) {
+    if (this.eventClients.size === 0) return Promise.resolve(fallback);
+
+    const id = randomUUID();
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        this.broadcast('request_answered', { id });
+        resolve(fallback);
+      }, 60000);
+      this.pendingRequests.set(id, {
+        data,
+        answer: value => {
+          clearTimeout(timer);
+          this.pendingRequests.delete(id);
+          this.broadcast('request_answered', { id });
+          resolve(value);
+        }
+      });
+      this.broadcast(event, { id, ...data });
+    });
+  }
+
+  requestSamplingApproval({ server, params }) {
+    return this.askGui('sampling_request', {
+      server,
+      maxTokens: params.maxTokens,
+      systemPrompt: params.systemPrompt,
+      messages: params.messages.map(m => ({ role: m.role, text: m.content.type === 'text' ? m.content.text : '[' + m.content.type + ']' }))
+    }, false);
+  }
+
+  broadcast(event, data) {
+    for (const res of this.eventClients) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  }
+
   setupExpress() {
-    this.app.use(express.json());
-    this.app.use(express.static('.'));
+    this.app.use(express.json({ limit: '20mb' })); // conversation imports can be large
+    // Only the page's own assets: the working directory also holds conversations and config backups
+    this.app.get('/marked.min.js', (req, res) => res.sendFile(path.join(__dirname, 'marked.min.js')));
     
     // API Routes
     this.app.get('/api/status', (req, res) => {
       res.json({
         status: 'ready',
         tools: this.mcpManager.getAvailableTools().length,
-        availableTools: this.mcpManager.getAvailableTools()
+        availableTools: this.mcpManager.getAvailableTools(),
+        servers: this.mcpManager.getServerStatus()
       });
     });
 
+    // Chat turns belong to a conversation: pass { conversationId } to continue one,
+    // without it a new conversation is created. The reply carries conversationId and title.
+    // Optional: { model } (kept for the conversation) and generation { options }.
     this.app.post('/api/chat', async (req, res) => {
       try {
-        const { message } = req.body;
+        const { message, prompt, attachments, conversationId } = req.body;
         
-        if (!message) {
+        if (!message && !prompt?.name) {
           return res.status(400).json({ error: 'Message is required' });
         }
+        const optionErrors = validateConfig(req.body.options ?? {}, modelOptionsSchema, ['options']);
+        if (optionErrors.length) {
+          return res.status(400).json({ error: `Invalid options: ${formatErrors(optionErrors).join('; ')}`, errors: optionErrors });
+        }
+        const conversation = conversationId ? this.conversations.get(conversationId) : this.conversations.create();
+        if (!conversation) {
+          return res.status(404).json({ error: `Unknown conversation '${conversationId}'` });
+        }
         
-        const result = await this.ollamaClient.chat(message);
+        const signal = disconnectSignal(res);
+        const result = await this.runConversationTurn(conversation, req.body, { signal });
         res.json(result);
         
       } catch (error) {
@@ -74,6 +204,63 @@ class OllamaMCPWebGUI {
       }
     });
 
+    // Streaming chat over Server-Sent Events: token, tool_start, tool_progress, tool_end,
+    // then done or error. Closing the connection cancels the turn and its tool calls.
+    // Send { prompt: { name, args } } instead of { message } to run an MCP prompt template,
+    // and { attachments: [uri, …] } to add resource contents to the message.
+    this.app.post('/api/chat/stream', async (req, res) => {
+      const { message, prompt, conversationId } = req.body;
+
+      if (!message && !prompt?.name) {
+        return res.status(400).json({ error: 'Message is required' });
+      }
+      const optionErrors = validateConfig(req.body.options ?? {}, modelOptionsSchema, ['options']);
+      if (optionErrors.length) {
+        return res.status(400).json({ error: `Invalid options: ${formatErrors(optionErrors).join('; ')}`, errors: optionErrors });
+      }
+      const conversation = conversationId ? this.conversations.get(conversationId) : this.conversations.create();
+      if (!conversation) {
+        return res.status(404).json({ error: `Unknown conversation '${conversationId}'` });
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      const signal = disconnectSignal(res);
+
+      try {
+        const result = await this.runConversationTurn(conversation, req.body, {
+          stream: true,
+          signal,
+          onEvent: event => send(event.type, event)
+        });
+        send('done', result);
+      } catch (error) {
+        if (signal.aborted) {
+          console.log('⏹️  Chat cancelled: client disconnected');
+        } else {
+          send('error', { error: error.message });
+        }
+      } finally {
+        res.end();
+      }
+    });
+
+    // Long-lived Server-Sent Events channel for pushes (tools_changed, config_changed, …)
+    this.app.get('/api/events', (req, res) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write(': connected\n\n');
+      this.eventClients.add(res);
+      req.on('close', () => this.eventClients.delete(res));
+    });
+
     this.app.post('/api/tool', async (req, res) => {
       try {
         const { toolName, args } = req.body;
@@ -82,7 +269,7 @@ class OllamaMCPWebGUI {
           return res.status(400).json({ error: 'Tool name is required' });
         }
         
-        const result = await this.mcpManager.callTool(toolName, args || {});
+        const result = await this.mcpManager.callTool(toolName, args || {}, { signal: disconnectSignal(res) });
         res.json({ result });
         
       } catch (error) {
@@ -115,9 +302,95 @@ class OllamaMCPWebGUI {
       res.json(toolsByServer);
     });
 
+    // Answers to questions pushed over /api/events
+    this.app.post('/api/sampling/:id', (req, res) => {
+      const pending = this.pendingRequests.get(req.params.id);
+      if (!pending) {
+        return res.status(404).json({ error: 'No pending sampling request with that id' });
+      }
+      pending.answer(req.body.approved === true);
+      res.json({ success: true });
+    });
+
+    // { action: "accept" | "decline" | "cancel", content }
+    this.app.post('/api/elicitation/:id', (req, res) => {
+      const pending = this.pendingRequests.get(req.params.id);
+      if (!pending) {
+        return res.status(404).json({ error: 'No pending elicitation request with that id' });
+      }
+      const { action, content } = req.body;
+      if (!['accept', 'decline', 'cancel'].includes(action)) {
+        return res.status(400).json({ error: 'action must be accept, decline or cancel' });
+      }
+      try {
+        // Reject bad input here so the user can correct it before the server sees it
+        const normalized = action === 'accept'
+          ? normalizeElicitationContent(pending.data.requestedSchema, content)
+          : undefined;
+        pending.answer({ action, content: normalized });
+        res.json({ success: true });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // MCP resources and resource templates for the attach picker
+    this.app.get('/api/resources', (req, res) => {
+      const resources = this.mcpManager.getAvailableResources().map(uri => ({
+        uri,
+        info: this.mcpManager.getResourceInfo(uri)
+      }));
+      res.json({ resources, templates: this.mcpManager.getResourceTemplates() });
+    });
+
+    // A resource rendered the way the model will see it (size-limited)
+    this.app.post('/api/resources/read', async (req, res) => {
+      try {
+        const { uri } = req.body;
+
+        if (!uri) {
+          return res.status(400).json({ error: 'Resource uri is required' });
+        }
+
+        const text = await this.ollamaClient.readResourceText(uri);
+        res.json({ uri, text });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // MCP prompt templates, with their argument lists for the GUI form
+    this.app.get('/api/prompts', (req, res) => {
+      const prompts = this.mcpManager.getAvailablePrompts().map(name => ({
+        name,
+        info: this.mcpManager.getPromptInfo(name)
+      }));
+      res.json(prompts);
+    });
+
+    // Expand a prompt without running it (preview)
+    this.app.post('/api/prompts/get', async (req, res) => {
+      try {
+        const { name, args } = req.body;
+
+        if (!name) {
+          return res.status(400).json({ error: 'Prompt name is required' });
+        }
+
+        const result = await this.mcpManager.getPrompt(name, args || {});
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // ?host= lists the models of another host. Only the configured host is resolved,
+    // so a request cannot have environment values sent to a host of its choosing.
     this.app.get('/api/models', async (req, res) => {
       try {
-        const models = await this.ollamaClient.listModels();
+        const requested = req.query.host ? String(req.query.host) : null;
+        const host = requested && requested !== this.configManager.getOllamaConfig().host ? requested : null;
+        const models = await this.ollamaClient.listModels(host);
         res.json(models);
       } catch (error) {
         res.status(500).json({ error: error.message });
@@ -128,6 +401,8 @@ class OllamaMCPWebGUI {
       const config = {
         ollama: this.configManager.getOllamaConfig(),
         configPath: this.configManager.getConfigPath(),
+        profile: this.configManager.profile,
+        profiles: this.configManager.getProfiles(),
         mcpServers: Object.keys(this.configManager.getMCPServers()),
         instructions: this.configManager.getInstructions()
       };
@@ -136,43 +411,98 @@ class OllamaMCPWebGUI {
 
     this.app.post('/api/config', async (req, res) => {
       try {
-        const { ollama, configPath, instructions } = req.body;
+        const { ollama, configPath, instructions, profile } = req.body;
+        const switchFile = Boolean(configPath) && path.resolve(configPath) !== this.configManager.getConfigPath();
+
+        // Reject invalid settings (or an invalid file to switch to) before changing anything
+        const errors = [
+          ...(switchFile ? this.configManager.validateFile(configPath, profile || null) : []),
+          ...validateConfig({ ollama, instructions })
+        ];
+        if (errors.length > 0) {
+          return res.status(400).json({ error: `Invalid configuration: ${formatErrors(errors).join('; ')}`, errors });
+        }
+        if (profile && !switchFile && !this.configManager.getProfiles().includes(profile)) {
+          return res.status(400).json({ error: `Unknown profile '${profile}'` });
+        }
         
         // IMPORTANT: Handle config path changes FIRST, before applying other updates
         // This prevents the race condition where loadConfig() overwrites in-memory changes
-        if (configPath) {
-          await this.configManager.loadConfig(configPath);
-          // Reinitialize MCP servers with new config
-          await this.mcpManager.close();
-          this.mcpManager = new MCPManager(this.configManager);
-          await this.mcpManager.initializeServers();
-          this.ollamaClient.mcp = this.mcpManager;
+        if (switchFile) {
+          await this.configManager.loadConfig(configPath, profile ?? this.configManager.profile, { readOnly: process.argv.includes('--read-only') });
+          await this.restartMCP();
+        } else if (profile !== undefined && (profile || null) !== this.configManager.profile) {
+          // Another profile can mean other servers, another host and model
+          this.configManager.useProfile(profile || null);
+          console.log(`🔀 Switched to profile: ${this.configManager.profile || 'none'}`);
+          await this.restartMCP();
+        }
+        if (switchFile || profile !== undefined) {
+          this.ollamaClient.connectOllama();
+          this.ollamaClient.defaultModel = this.configManager.getOllamaConfig().defaultModel;
+          this.broadcast('config_changed', { profile: this.configManager.profile });
         }
         
         // Now apply the updates AFTER any config loading
-        if (ollama) {
+        const edited = Object.keys(ollama || {}).length > 0 || Object.keys(instructions || {}).length > 0;
+        if (Object.keys(ollama || {}).length > 0) {
           this.configManager.updateOllamaConfig(ollama);
           // Update the ollama client with new config
           const newOllamaConfig = this.configManager.getOllamaConfig();
           
-          // Properly update the Ollama client configuration
-          if (this.ollamaClient.ollama) {
-            this.ollamaClient.ollama.host = newOllamaConfig.host;
-          }
+          // A new client picks up the (resolved) host
+          this.ollamaClient.connectOllama();
           this.ollamaClient.defaultModel = newOllamaConfig.defaultModel;
           
-          // Also update the internal host property if it exists
-          if (this.ollamaClient.host) {
-            this.ollamaClient.host = newOllamaConfig.host;
-          }
-          
           console.log(`🔄 Updated Ollama client: host=${newOllamaConfig.host}, model=${newOllamaConfig.defaultModel}`);
         }
         
-        if (instructions) {
+        if (Object.keys(instructions || {}).length > 0) {
           this.configManager.updateInstructions(instructions);
         }
         
+        // Switching file or profile alone changes nothing on disk (and keeps the .bak)
+        if (edited) await this.configManager.saveConfig();
+        res.json({ success: true });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Single MCP servers in the running process: list, add, remove, enable/disable, restart
+    this.app.get('/api/servers', (req, res) => {
+      const status = this.mcpManager.getServerStatus();
+      const servers = Object.keys(this.configManager.getMCPServers()).map(name => ({
+        name,
+        ...(status[name] || { state: 'dead', tools: 0 })
+      }));
+      res.json(servers);
+    });
+
+    this.app.post('/api/servers', async (req, res) => {
+      try {
+        const { name, config } = req.body;
+        if (!name || !config) {
+          return res.status(400).json({ error: 'Server name and config are required' });
+        }
+        const errors = validateConfig(config, serverSchema, ['mcpServers', name]);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: `Invalid server config: ${formatErrors(errors).join('; ')}`, errors });
+        }
+        if (!this.mayStartServer(config)) {
+          return res.status(403).json({ error: STDIO_NOT_ALLOWED });
+        }
+        await this.mcpManager.addServer(name, config);
+        await this.configManager.saveConfig();
+        res.json({ success: true, status: this.mcpManager.getServerStatus()[name] });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/servers/:name', async (req, res) => {
+      try {
+        await this.mcpManager.removeServer(req.params.name);
         await this.configManager.saveConfig();
         res.json({ success: true });
       } catch (error) {
@@ -180,9 +510,107 @@ class OllamaMCPWebGUI {
       }
     });
 
+    this.app.post('/api/servers/:name/:action', async (req, res) => {
+      try {
+        const { name, action } = req.params;
+        if (!['enable', 'disable', 'restart'].includes(action)) {
+          return res.status(404).json({ error: `Unknown action '${action}'` });
+        }
+        if (action === 'enable' && !this.mayStartServer(this.mcpManager.getServerConfig(name))) {
+          return res.status(403).json({ error: STDIO_NOT_ALLOWED });
+        }
+        if (action === 'restart') {
+          await this.mcpManager.restartServer(name);
+        } else {
+          await this.mcpManager.setServerEnabled(name, action === 'enable');
+          await this.configManager.saveConfig();
+        }
+        res.json({ success: true, status: this.mcpManager.getServerStatus()[name] });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Conversations: list, create, read (to resume), rename, delete
+    this.app.get('/api/conversations', (req, res) => {
+      res.json(this.conversations.list());
+    });
+
+    this.app.post('/api/conversations', (req, res) => {
+      res.json(this.conversations.create(req.body?.title));
+    });
+
+    this.app.get('/api/conversations/:id', (req, res) => {
+      try {
+        const conversation = this.conversations.get(req.params.id);
+        if (!conversation) return res.status(404).json({ error: `Unknown conversation '${req.params.id}'` });
+        res.json(conversation);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.patch('/api/conversations/:id', (req, res) => {
+      try {
+        const title = req.body?.title?.trim();
+        if (!title) return res.status(400).json({ error: 'Title is required' });
+        const conversation = this.conversations.rename(req.params.id, title);
+        if (!conversation) return res.status(404).json({ error: `Unknown conversation '${req.params.id}'` });
+        res.json({ success: true, id: conversation.id, title: conversation.title });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Download as ?format=markdown|json|jsonl (default json)
+    this.app.get('/api/conversations/:id/export', (req, res) => {
+      try {
+        const format = req.query.format || 'json';
+        if (!EXPORT_FORMATS[format]) {
+          return res.status(400).json({ error: `Unknown export format '${format}' (expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')})` });
+        }
+        const conversation = this.conversations.get(req.params.id);
+        if (!conversation) return res.status(404).json({ error: `Unknown conversation '${req.params.id}'` });
+
+        const text = exportConversation(conversation, format, { systemPrompt: this.configManager.getInstructions().system });
+        res.attachment(exportFileName(conversation, format));
+        res.type(EXPORT_FORMATS[format].contentType).send(text);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Body: a JSON export; stored as a new conversation that can be resumed
+    this.app.post('/api/conversations/import', (req, res) => {
+      try {
+        const conversation = this.conversations.import(conversationFromExport(req.body));
+        res.json({ id: conversation.id, title: conversation.title });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/conversations/:id', (req, res) => {
+      try {
+        if (!this.conversations.delete(req.params.id)) {
+          return res.status(404).json({ error: `Unknown conversation '${req.params.id}'` });
+        }
+        res.json({ success: true });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Clears one conversation ({ conversationId }); other tabs and users keep theirs
     this.app.post('/api/clear-history', (req, res) => {
       try {
-        this.ollamaClient.clearConversationHistory();
+        const { conversationId } = req.body || {};
+        if (!conversationId) {
+          return res.status(400).json({ error: 'conversationId is required' });
+        }
+        if (!this.conversations.clear(conversationId)) {
+          return res.status(404).json({ error: `Unknown conversation '${conversationId}'` });
+        }
         res.json({ success: true, message: 'Conversation history cleared' });
       } catch (error) {
         res.status(500).json({ error: error.message });
@@ -225,6 +653,7 @@ class OllamaMCPWebGUI {
                 <div class="bg-white/20 px-3 lg:px-4 py-2 rounded-full text-xs lg:text-sm" id="status">🔄 Loading...</div>
                 <div class="bg-white/20 px-3 lg:px-4 py-2 rounded-full text-xs lg:text-sm" id="tools-count">📋 Tools: 0</div>
                 <div class="bg-white/20 px-3 lg:px-4 py-2 rounded-full text-xs lg:text-sm" id="current-model">🦙 Loading...</div>
+                <select id="profile-select" class="hidden bg-white/20 text-white px-3 py-2 rounded-full text-xs lg:text-sm" onchange="switchProfile(this.value)" title="Config profile"></select>
                 <button class="bg-white/20 hover:bg-white/30 text-white px-3 py-2 rounded-full text-xs lg:text-sm transition-all duration-300" onclick="openSettings()">
                     ⚙️ Settings
                 </button>
@@ -242,14 +671,31 @@ class OllamaMCPWebGUI {
             
             <!-- Sidebar -->
             <div id="sidebar" class="w-80 lg:w-80 bg-gray-50 border-r border-gray-200 p-5 overflow-y-auto transform -translate-x-full lg:translate-x-0 transition-transform duration-300 ease-in-out fixed lg:relative z-40 h-full lg:h-auto">
-                <div class="flex justify-between items-center mb-4 lg:block">
-                    <h3 class="text-lg font-semibold text-gray-800">🔧 Available Tools</h3>
-                    <button id="close-sidebar" class="lg:hidden text-gray-500 hover:text-gray-700 p-2">
-                        <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
-                        </svg>
-                    </button>
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-lg font-semibold text-gray-800">💬 Conversations</h3>
+                    <div class="flex items-center gap-1">
+                        <button class="px-3 py-1 bg-purple-500 hover:bg-purple-600 text-white rounded-full text-xs transition-all duration-200" onclick="newChat()" title="Start a new conversation">+ New</button>
+                        <button id="close-sidebar" class="lg:hidden text-gray-500 hover:text-gray-700 p-2">
+                            <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+                <div class="flex items-center gap-1 mb-3">
+                    <select id="export-format" class="flex-1 px-2 py-1 border border-gray-300 rounded-full text-xs bg-white" title="Export format">
+                        <option value="markdown">Markdown</option>
+                        <option value="json">JSON (can be imported)</option>
+                        <option value="jsonl">JSONL (fine-tuning)</option>
+                    </select>
+                    <button class="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-full text-xs transition-all duration-200" onclick="downloadConversation()" title="Export the open conversation">⬇️ Export</button>
+                    <button class="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-full text-xs transition-all duration-200" onclick="document.getElementById('import-file').click()" title="Import a JSON export">⬆️ Import</button>
+                    <input type="file" id="import-file" accept=".json,application/json" class="hidden" onchange="importConversationFile(this)">
                 </div>
+                <div id="conversation-list" class="space-y-1 mb-6 max-h-64 overflow-y-auto">
+                    <div class="text-gray-500 text-sm">No conversations yet</div>
+                </div>
+                <h3 class="text-lg font-semibold text-gray-800 mb-4">🔧 Available Tools</h3>
                 <div id="tools-list" class="space-y-2">
                     <div class="text-gray-500">Loading tools...</div>
                 </div>
@@ -283,12 +729,23 @@ class OllamaMCPWebGUI {
                 
                 <!-- Input Area -->
                 <div class="p-3 lg:p-5 bg-white border-t border-gray-200">
+                    <div id="attachments" class="hidden flex-wrap gap-2 mb-2"></div>
                     <div class="flex gap-2 lg:gap-3">
                         <input type="text" id="message-input" 
                                class="flex-1 px-3 lg:px-4 py-2 lg:py-3 border border-gray-300 rounded-full text-sm lg:text-base outline-none focus:border-purple-500 focus:ring-2 focus:ring-purple-200 transition-all duration-200" 
                                placeholder="Type your message here..." />
+                        <select id="chat-model" class="w-32 lg:w-44 px-2 lg:px-3 py-2 lg:py-3 border border-gray-300 rounded-full text-sm bg-white outline-none focus:border-purple-500" 
+                                title="Model for this conversation">
+                            <option value="">Default model</option>
+                        </select>
+                        <button class="px-3 lg:px-4 py-2 lg:py-3 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-full text-sm lg:text-base transition-all duration-200" 
+                                onclick="openResources()" title="Attach an MCP resource">📎</button>
                         <button class="px-4 lg:px-6 py-2 lg:py-3 bg-purple-500 hover:bg-purple-600 text-white rounded-full font-medium text-sm lg:text-base transition-all duration-200 transform hover:scale-105" 
                                 onclick="sendMessage()">Send</button>
+                        <button id="stop-btn" class="hidden px-4 lg:px-6 py-2 lg:py-3 bg-red-500 hover:bg-red-600 text-white rounded-full font-medium text-sm lg:text-base transition-all duration-200" 
+                                onclick="stopGeneration()" title="Cancel the answer and any running tool calls">Stop</button>
+                        <button class="px-4 lg:px-6 py-2 lg:py-3 bg-blue-500 hover:bg-blue-600 text-white rounded-full font-medium text-sm lg:text-base transition-all duration-200" 
+                                onclick="openPrompts()" title="Run an MCP prompt template">Prompts</button>
                         <button class="px-4 lg:px-6 py-2 lg:py-3 bg-gray-500 hover:bg-gray-600 text-white rounded-full font-medium text-sm lg:text-base transition-all duration-200" 
                                 onclick="clearChat()">Clear</button>
                     </div>
@@ -361,10 +818,10 @@ class OllamaMCPWebGUI {
                         
                         <div>
                             <label class="block text-sm font-semibold text-gray-700 mb-2">Current MCP Servers</label>
-                            <div id="mcp-servers-list" class="p-3 bg-gray-50 rounded-lg">
+                            <div id="mcp-servers-list" class="p-3 bg-gray-50 rounded-lg space-y-2">
                                 Loading...
                             </div>
-                            <small class="block mt-2 text-gray-600">MCP servers currently configured and loaded</small>
+                            <small class="block mt-2 text-gray-600">MCP servers currently configured, with their live status. Restarting or enabling/disabling a server does not affect the others.</small>
                         </div>
                     </div>
                     
@@ -377,9 +834,119 @@ class OllamaMCPWebGUI {
         </div>
     </div>
 
+    <!-- Prompt Picker Modal -->
+    <div id="promptModal" class="fixed inset-0 bg-black/50 z-50 hidden">
+        <div class="flex items-center justify-center min-h-screen p-4">
+            <div class="bg-white rounded-2xl p-8 w-full max-w-xl max-h-[80vh] overflow-y-auto">
+                <div class="flex justify-between items-center mb-6 pb-4 border-b border-gray-200">
+                    <h2 class="text-2xl font-bold text-gray-800">📝 Prompts</h2>
+                    <button class="text-gray-400 hover:text-gray-600 text-3xl font-bold leading-none" onclick="closePrompts()">×</button>
+                </div>
+                
+                <form id="promptForm">
+                    <div class="space-y-6">
+                        <div>
+                            <label for="prompt-select" class="block text-sm font-semibold text-gray-700 mb-2">Prompt</label>
+                            <select id="prompt-select" onchange="renderPromptArgs()"
+                                    class="w-full px-4 py-3 border border-gray-300 rounded-lg text-base outline-none focus:border-purple-500 focus:ring-2 focus:ring-purple-200">
+                                <option value="">Loading prompts...</option>
+                            </select>
+                            <small id="prompt-description" class="block mt-2 text-gray-600"></small>
+                        </div>
+                        <div id="prompt-args" class="space-y-4"></div>
+                    </div>
+                    
+                    <div class="flex gap-3 justify-end mt-8 pt-6 border-t border-gray-200">
+                        <button type="button" class="px-6 py-3 bg-gray-500 hover:bg-gray-600 text-white rounded-lg font-medium transition-all duration-200" onclick="closePrompts()">Cancel</button>
+                        <button type="submit" class="px-6 py-3 bg-purple-500 hover:bg-purple-600 text-white rounded-lg font-medium transition-all duration-200">Run Prompt</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    </div>
+
+    <!-- Resource Picker Modal -->
+    <div id="resourceModal" class="fixed inset-0 bg-black/50 z-50 hidden">
+        <div class="flex items-center justify-center min-h-screen p-4">
+            <div class="bg-white rounded-2xl p-8 w-full max-w-xl max-h-[80vh] overflow-y-auto">
+                <div class="flex justify-between items-center mb-6 pb-4 border-b border-gray-200">
+                    <h2 class="text-2xl font-bold text-gray-800">📎 Attach Resource</h2>
+                    <button class="text-gray-400 hover:text-gray-600 text-3xl font-bold leading-none" onclick="closeResources()">×</button>
+                </div>
+                
+                <div class="space-y-6">
+                    <div id="resource-list" class="space-y-2">Loading...</div>
+                    <div>
+                        <label for="resource-uri" class="block text-sm font-semibold text-gray-700 mb-2">Resource URI</label>
+                        <div class="flex gap-2">
+                            <input type="text" id="resource-uri"
+                                   class="flex-1 px-4 py-3 border border-gray-300 rounded-lg text-base outline-none focus:border-purple-500 focus:ring-2 focus:ring-purple-200"
+                                   placeholder="Pick a resource or fill in a template, e.g. weather://current/Berlin">
+                            <button type="button" class="px-4 py-3 bg-purple-500 hover:bg-purple-600 text-white rounded-lg font-medium transition-all duration-200"
+                                    onclick="attachResource(document.getElementById('resource-uri').value.trim())">Attach</button>
+                        </div>
+                        <small class="block mt-2 text-gray-600">Attached resources are read when the message is sent and added to its context (large contents are truncated).</small>
+                    </div>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <!-- Elicitation Modal (an MCP server asks the user for input) -->
+    <div id="elicitationModal" class="fixed inset-0 bg-black/50 z-50 hidden">
+        <div class="flex items-center justify-center min-h-screen p-4">
+            <div class="bg-white rounded-2xl p-8 w-full max-w-xl max-h-[80vh] overflow-y-auto">
+                <div class="mb-6 pb-4 border-b border-gray-200">
+                    <h2 class="text-2xl font-bold text-gray-800">📝 <span id="elicitation-server"></span> needs input</h2>
+                    <p id="elicitation-message" class="mt-2 text-gray-700"></p>
+                </div>
+                
+                <form id="elicitationForm">
+                    <div id="elicitation-fields" class="space-y-4"></div>
+                    <div id="elicitation-error" class="hidden mt-4 text-sm text-red-600"></div>
+                    
+                    <div class="flex gap-3 justify-end mt-8 pt-6 border-t border-gray-200">
+                        <button type="button" class="px-6 py-3 bg-gray-500 hover:bg-gray-600 text-white rounded-lg font-medium transition-all duration-200" onclick="answerElicitation('cancel')">Cancel</button>
+                        <button type="button" class="px-6 py-3 bg-red-500 hover:bg-red-600 text-white rounded-lg font-medium transition-all duration-200" onclick="answerElicitation('decline')">Decline</button>
+                        <button type="submit" class="px-6 py-3 bg-purple-500 hover:bg-purple-600 text-white rounded-lg font-medium transition-all duration-200">Submit</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    </div>
+
     <script src="marked.min.js"></script>
     <script>
         let isLoading = false;
+        let prompts = [];
+        let attachments = [];       // resource URIs for the next message
+        let elicitations = [];      // queued elicitation requests, the first one is shown
+        let currentRequest = null;  // AbortController of the chat request in flight
+        let conversationId = localStorage.getItem('conversationId');  // conversation this tab continues
+
+        // Stored titles, messages and tool output may come from imports or servers: never render them as HTML
+        const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        function escapeHtml(text) {
+            return String(text ?? '').replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+        }
+
+        // Markdown from the model: raw HTML is shown as text, links only to web/mail targets
+        if (typeof marked !== 'undefined') {
+            const isSafeUrl = href => /^(https?:|mailto:|#|[/])/i.test(href || '');
+            marked.use({
+                renderer: {
+                    html(token) {
+                        return escapeHtml(token.text);
+                    },
+                    link(token) {
+                        return isSafeUrl(token.href) ? false : this.parser.parseInline(token.tokens);
+                    },
+                    image(token) {
+                        return isSafeUrl(token.href) ? false : escapeHtml(token.text);
+                    }
+                }
+            });
+        }
 
         // Initialize the app
         async function init() {
@@ -396,18 +963,292 @@ class OllamaMCPWebGUI {
                     const config = await configResponse.json();
                     const modelName = config.ollama.defaultModel || 'No model set';
                     document.getElementById('current-model').textContent = '🦙 ' + modelName;
+                    renderProfiles(config);
                 } catch (error) {
                     console.error('Error loading model name:', error);
                     document.getElementById('current-model').textContent = '🦙 Error loading model';
                 }
                 
                 loadTools();
+                subscribeToServerEvents();
+                await loadChatModels();
+                if (conversationId) resumeConversation(conversationId);
+                else loadConversations();
             } catch (error) {
                 document.getElementById('status').textContent = '❌ Error';
                 console.error('Init error:', error);
             }
         }
 
+        // Model picker of the chat box; "" leaves the choice to the default model and routing rules
+        async function loadChatModels() {
+            const select = document.getElementById('chat-model');
+            try {
+                const data = await (await fetch('/api/models')).json();
+                const selected = select.value;
+                select.innerHTML = '<option value="">Default model</option>';
+                (data.models || []).forEach(model => {
+                    const option = document.createElement('option');
+                    option.value = model.name;
+                    option.textContent = model.name;
+                    select.appendChild(option);
+                });
+                setChatModel(selected);
+            } catch (error) {
+                console.error('Error loading models:', error);
+            }
+        }
+
+        function setChatModel(model) {
+            const select = document.getElementById('chat-model');
+            // Keep a conversation's model selectable even if it is no longer installed
+            if (model && !Array.from(select.options).some(option => option.value === model)) {
+                const option = document.createElement('option');
+                option.value = model;
+                option.textContent = model + ' (not installed)';
+                select.appendChild(option);
+            }
+            select.value = model || '';
+        }
+
+        function setConversation(id) {
+            conversationId = id;
+            if (id) localStorage.setItem('conversationId', id);
+            else localStorage.removeItem('conversationId');
+        }
+
+        // Sidebar list of stored conversations, most recently used first
+        async function loadConversations() {
+            const list = document.getElementById('conversation-list');
+            try {
+                const conversations = await (await fetch('/api/conversations')).json();
+                list.innerHTML = '';
+                if (conversations.length === 0) {
+                    list.innerHTML = '<div class="text-gray-500 text-sm">No conversations yet</div>';
+                    return;
+                }
+                conversations.forEach(conversation => {
+                    const item = document.createElement('div');
+                    item.className = 'group flex items-center gap-1 px-3 py-2 rounded-lg cursor-pointer text-sm transition-all duration-200 ' +
+                        (conversation.id === conversationId ? 'bg-purple-100 text-purple-800' : 'text-gray-700 hover:bg-gray-100');
+                    const title = document.createElement('span');
+                    title.className = 'flex-1 truncate';
+                    title.textContent = conversation.title;
+                    title.title = new Date(conversation.updatedAt).toLocaleString() + ' · ' + conversation.messages + ' message(s)';
+                    item.appendChild(title);
+                    item.appendChild(createConversationButton('✏️', 'Rename', () => renameConversation(conversation)));
+                    item.appendChild(createConversationButton('🗑️', 'Delete', () => deleteConversation(conversation)));
+                    item.addEventListener('click', () => resumeConversation(conversation.id));
+                    list.appendChild(item);
+                });
+            } catch (error) {
+                console.error('Error loading conversations:', error);
+            }
+        }
+
+        function createConversationButton(icon, title, onClick) {
+            const button = document.createElement('button');
+            button.className = 'opacity-0 group-hover:opacity-100 text-xs px-1 transition-opacity duration-200';
+            button.textContent = icon;
+            button.title = title;
+            button.addEventListener('click', e => {
+                e.stopPropagation();
+                onClick();
+            });
+            return button;
+        }
+
+        function resetMessages(text) {
+            document.getElementById('messages').innerHTML = '<div class="mb-5 p-4 bg-white border border-gray-200 rounded-xl max-w-4xl"><div class="font-semibold text-gray-800 mb-2">🤖 Assistant:</div><div class="text-gray-700 leading-relaxed"></div></div>';
+            document.querySelector('#messages .leading-relaxed').textContent = text;
+        }
+
+        // Show a stored conversation; the next message continues it
+        async function resumeConversation(id) {
+            if (isLoading) return;
+            try {
+                const response = await fetch('/api/conversations/' + id);
+                if (!response.ok) return newChat();
+                const conversation = await response.json();
+                setConversation(conversation.id);
+                setChatModel(conversation.model);
+                resetMessages('Continuing "' + conversation.title + '"');
+                conversation.transcript.forEach(entry => {
+                    if (entry.role === 'user') {
+                        addMessage('user', entry.content + (entry.attachments ? '\\n📎 ' + entry.attachments.join(', ') : ''));
+                    } else {
+                        if (entry.tools) addMessage('tool', '🔧 Used ' + entry.tools.join(', '));
+                        addMessage('assistant', entry.content);
+                    }
+                });
+            } catch (error) {
+                console.error('Error loading conversation:', error);
+            }
+            loadConversations();
+        }
+
+        // The conversation itself is created with its first message
+        function newChat() {
+            if (isLoading) return;
+            setConversation(null);
+            resetMessages('New conversation. How can I help you?');
+            loadConversations();
+        }
+
+        async function renameConversation(conversation) {
+            const title = window.prompt('Rename conversation', conversation.title);
+            if (!title || !title.trim()) return;
+            await fetch('/api/conversations/' + conversation.id, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ title })
+            });
+            loadConversations();
+        }
+
+        async function deleteConversation(conversation) {
+            if (!confirm('Delete "' + conversation.title + '"?')) return;
+            await fetch('/api/conversations/' + conversation.id, { method: 'DELETE' });
+            if (conversation.id === conversationId) newChat();
+            else loadConversations();
+        }
+
+        // Download the open conversation in the chosen format
+        function downloadConversation() {
+            if (!conversationId) {
+                alert('Nothing to export yet: send a message or open a conversation first.');
+                return;
+            }
+            const format = document.getElementById('export-format').value;
+            window.location.href = '/api/conversations/' + conversationId + '/export?format=' + format;
+        }
+
+        // Store a JSON export as a new conversation and open it
+        async function importConversationFile(input) {
+            const file = input.files[0];
+            input.value = '';
+            if (!file) return;
+            try {
+                const response = await fetch('/api/conversations/import', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: await file.text()
+                });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error);
+                resumeConversation(data.id);
+            } catch (error) {
+                alert('Import failed: ' + error.message);
+            }
+        }
+
+        // Profile dropdown, only shown when the config defines profiles
+        function renderProfiles(config) {
+            const select = document.getElementById('profile-select');
+            select.innerHTML = '';
+            select.classList.toggle('hidden', config.profiles.length === 0);
+            ['', ...config.profiles].forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name ? '👤 ' + name : '👤 No profile';
+                option.className = 'text-gray-800';
+                option.selected = name === (config.profile || '');
+                select.appendChild(option);
+            });
+        }
+
+        async function switchProfile(name) {
+            const select = document.getElementById('profile-select');
+            select.disabled = true;
+            document.getElementById('status').textContent = '🔄 Switching profile...';
+            try {
+                const response = await fetch('/api/config', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ profile: name })
+                });
+                const result = await response.json();
+                if (!result.success) alert('Error switching profile: ' + (result.error || 'Unknown error'));
+            } catch (error) {
+                alert('Error switching profile: ' + error.message);
+            }
+            await refreshConfigDisplay();
+            select.disabled = false;
+        }
+
+        // Header badges after the configuration changed (profile switch, reload)
+        async function refreshConfigDisplay() {
+            try {
+                const config = await (await fetch('/api/config')).json();
+                document.getElementById('current-model').textContent = '🦙 ' + (config.ollama.defaultModel || 'No model set');
+                renderProfiles(config);
+                const status = await (await fetch('/api/status')).json();
+                document.getElementById('status').textContent = '✅ Ready';
+                document.getElementById('status').title = '';
+                document.getElementById('tools-count').textContent = '📋 Tools: ' + status.tools;
+                loadTools();
+            } catch (error) {
+                console.error('Error refreshing configuration:', error);
+            }
+        }
+
+        // Live pushes from the server, e.g. a tool list changed on an MCP server
+        function subscribeToServerEvents() {
+            const events = new EventSource('/api/events');
+            events.addEventListener('tools_changed', async function() {
+                loadTools();
+                try {
+                    const response = await fetch('/api/status');
+                    const data = await response.json();
+                    document.getElementById('tools-count').textContent = '📋 Tools: ' + data.tools;
+                } catch (error) {
+                    console.error('Error refreshing tool count:', error);
+                }
+            });
+            // An MCP server wants the local model to generate something
+            events.addEventListener('sampling_request', async function(e) {
+                const request = JSON.parse(e.data);
+                const preview = request.messages.map(m => m.role + ': ' + m.text).join('\\n').slice(0, 600);
+                const approved = confirm('🧠 MCP server "' + request.server + '" asks the model for a completion (max ' +
+                    request.maxTokens + ' tokens):\\n\\n' + preview + '\\n\\nAllow?');
+                try {
+                    await fetch('/api/sampling/' + request.id, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ approved })
+                    });
+                } catch (error) {
+                    console.error('Error answering sampling request:', error);
+                }
+            });
+            events.addEventListener('elicitation_request', function(e) {
+                elicitations.push(JSON.parse(e.data));
+                if (elicitations.length === 1) showElicitation();
+            });
+            // Another tab answered (or the request timed out on the server side)
+            events.addEventListener('request_answered', function(e) {
+                const { id } = JSON.parse(e.data);
+                const wasShown = elicitations[0]?.id === id;
+                elicitations = elicitations.filter(request => request.id !== id);
+                if (wasShown) showElicitation();
+            });
+            events.addEventListener('config_changed', refreshConfigDisplay);
+            // A hand edit of the config file did not validate; the running config is kept
+            events.addEventListener('config_error', function(e) {
+                const { errors } = JSON.parse(e.data);
+                const status = document.getElementById('status');
+                status.textContent = '⚠️ Config error';
+                status.title = errors.join('\\n');
+                console.warn('Config change not applied:', errors);
+            });
+            events.addEventListener('prompts_changed', function() {
+                if (document.getElementById('promptModal').style.display === 'block') loadPrompts();
+            });
+            events.addEventListener('resources_changed', function() {
+                if (document.getElementById('resourceModal').style.display === 'block') loadResources();
+            });
+        }
+
         // Load available tools grouped by MCP server
         async function loadTools() {
             try {
@@ -427,7 +1268,7 @@ class OllamaMCPWebGUI {
                     const serverHeader = document.createElement('div');
                     serverHeader.className = 'p-3 cursor-pointer select-none flex justify-between items-center bg-purple-50 border-b border-purple-100 hover:bg-purple-100 transition-colors duration-200';
                     serverHeader.innerHTML = 
-                        '<span class="font-semibold text-purple-800">🔌 ' + serverName + ' (' + tools.length + ' tools)</span>' +
+                        '<span class="font-semibold text-purple-800">🔌 ' + escapeHtml(serverName) + ' (' + tools.length + ' tools)</span>' +
                         '<span class="expand-icon text-xs transition-transform duration-200 text-purple-600">▶</span>';
                     
                     // Create tools container (initially hidden)
@@ -438,7 +1279,7 @@ class OllamaMCPWebGUI {
                     tools.forEach(tool => {
                         const toolItem = document.createElement('div');
                         toolItem.className = 'p-2 bg-gray-50 border border-gray-100 rounded cursor-pointer text-sm transition-all duration-200 hover:bg-purple-50 hover:border-purple-200';
-                        toolItem.textContent = tool.name;
+                        toolItem.textContent = tool.info?.name || tool.name;
                         toolItem.title = tool.info?.description || 'No description available';
                         toolItem.onclick = () => insertToolCall(tool.name);
                         toolsContainer.appendChild(toolItem);
@@ -497,62 +1338,454 @@ class OllamaMCPWebGUI {
             input.focus();
         }
 
-        // Send message
+        // Send message and render the streamed reply as it arrives
         async function sendMessage() {
             if (isLoading) return;
             
             const input = document.getElementById('message-input');
             const message = input.value.trim();
             
-            if (!message) return;
+            if (!message && attachments.length === 0) return;
             
             // Add user message
-            addMessage('user', message);
+            const sent = attachments;
+            const text = message || 'Please take the attached resource(s) into account.';
+            addMessage('user', text + (sent.length ? '\\n📎 ' + sent.join(', ') : ''));
             input.value = '';
+            attachments = [];
+            renderAttachments();
             
-            // Show loading
+            await streamChat({ message: text, attachments: sent });
+        }
+
+        // Resource picker: listed resources attach directly, templates fill the URI field
+        function openResources() {
+            document.getElementById('resourceModal').style.display = 'block';
+            loadResources();
+        }
+
+        async function loadResources() {
+            const list = document.getElementById('resource-list');
+            try {
+                const response = await fetch('/api/resources');
+                const data = await response.json();
+                list.innerHTML = '';
+                
+                data.resources.forEach(resource => {
+                    list.appendChild(createResourceItem(
+                        '📄 ' + (resource.info?.name || resource.uri),
+                        resource.uri + (resource.info?.mimeType ? ' (' + resource.info.mimeType + ')' : ''),
+                        function() { attachResource(resource.uri); }
+                    ));
+                });
+                data.templates.forEach(template => {
+                    list.appendChild(createResourceItem(
+                        '🧩 ' + (template.title || template.name),
+                        template.uriTemplate + ' – ' + template.server,
+                        function() {
+                            const uriInput = document.getElementById('resource-uri');
+                            uriInput.value = template.uriTemplate;
+                            uriInput.focus();
+                        }
+                    ));
+                });
+                if (!data.resources.length && !data.templates.length) {
+                    list.innerHTML = '<div class="text-gray-500">No resources available</div>';
+                }
+            } catch (error) {
+                console.error('Error loading resources:', error);
+                list.innerHTML = '<div class="text-red-500">❌ Failed to load resources</div>';
+            }
+        }
+
+        function closeResources() {
+            document.getElementById('resourceModal').style.display = 'none';
+        }
+
+        function createResourceItem(title, detail, onClick) {
+            const item = document.createElement('div');
+            item.className = 'p-3 bg-gray-50 border border-gray-200 rounded-lg cursor-pointer text-sm transition-all duration-200 hover:bg-purple-50 hover:border-purple-200';
+            item.innerHTML = '<div class="font-medium text-gray-800"></div><div class="text-xs text-gray-500 break-all"></div>';
+            item.firstChild.textContent = title;
+            item.lastChild.textContent = detail;
+            item.onclick = onClick;
+            return item;
+        }
+
+        function attachResource(uri) {
+            if (!uri) return;
+            if (uri.includes('{')) {
+                alert('Fill in the {placeholders} of the template first');
+                return;
+            }
+            if (!attachments.includes(uri)) attachments.push(uri);
+            document.getElementById('resource-uri').value = '';
+            renderAttachments();
+            closeResources();
+            document.getElementById('message-input').focus();
+        }
+
+        // Chips above the input for the pending attachments
+        function renderAttachments() {
+            const container = document.getElementById('attachments');
+            container.innerHTML = '';
+            container.style.display = attachments.length ? 'flex' : 'none';
+            attachments.forEach(uri => {
+                const chip = document.createElement('span');
+                chip.className = 'inline-flex items-center gap-1 px-3 py-1 bg-purple-50 border border-purple-200 text-purple-800 rounded-full text-xs';
+                chip.textContent = '📎 ' + uri + ' ';
+                const remove = document.createElement('button');
+                remove.className = 'text-purple-500 hover:text-purple-800 font-bold';
+                remove.textContent = '×';
+                remove.onclick = function() {
+                    attachments = attachments.filter(u => u !== uri);
+                    renderAttachments();
+                };
+                chip.appendChild(remove);
+                container.appendChild(chip);
+            });
+        }
+
+        // POST a chat request to /api/chat/stream and render its events
+        async function streamChat(body) {
+            // Show loading until the first event arrives
             setLoading(true);
             
+            let bubble = null;          // assistant message currently receiving tokens
+            const pendingTools = {};    // "iteration:index" -> placeholder tool message
+            
+            currentRequest = new AbortController();
+            
             try {
-                const response = await fetch('/api/chat', {
+                // Aborting closes the connection, which cancels the turn on the server
+                const response = await fetch('/api/chat/stream', {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json'
                     },
-                    body: JSON.stringify({ message })
+                    body: JSON.stringify({ ...body, conversationId, model: document.getElementById('chat-model').value }),
+                    signal: currentRequest.signal
                 });
                 
-                const result = await response.json();
+                if (!response.ok) {
+                    const result = await response.json();
+                    // Deleted meanwhile (e.g. in another tab): the next message starts a new one
+                    if (response.status === 404) setConversation(null);
+                    throw new Error(result.error || response.statusText);
+                }
                 
-                if (result.error) {
-                    // Show error with tool arguments if available
-                    if (result.rawResponse) {
-                        let argsText = '';
-                        try {
-                            const toolCall = JSON.parse(result.rawResponse);
-                            if (toolCall.tool && toolCall.args) {
-                                argsText = ' with args: ' + JSON.stringify(toolCall.args);
-                                addMessage('tool', '🔧 Used tool: ' + toolCall.tool + argsText, null, result.rawResponse);
-                            }
-                        } catch (error) {
-                            console.error('Error parsing raw response for error case:', error);
+                await readEventStream(response, function(event, data) {
+                    document.getElementById('loading').style.display = 'none';
+                    
+                    if (event === 'token') {
+                        if (!bubble) bubble = addStreamingMessage();
+                        bubble.append(data.content);
+                    } else if (event === 'tool_start') {
+                        // Text streamed before a tool call is either empty or the raw JSON call itself
+                        if (bubble && (!bubble.text().trim() || bubble.text().includes('"tool_call"'))) {
+                            bubble.remove();
+                        }
+                        bubble = null;
+                        pendingTools[data.iteration + ':' + data.index] =
+                            addMessage('tool', '⏳ Running ' + data.tool + ' with args: ' + JSON.stringify(data.args));
+                    } else if (event === 'tool_progress') {
+                        const pending = pendingTools[data.iteration + ':' + data.index];
+                        if (pending) setToolProgress(pending, data);
+                    } else if (event === 'tool_end') {
+                        const status = data.error ? ' ❌ ' + data.error : ' (' + data.durationMs + ' ms)';
+                        const done = addMessage('tool', '🔧 Step ' + (data.iteration + 1) + ': ' + data.tool + ' with args: ' + JSON.stringify(data.args) + status, data.result, data.rawResponse);
+                        const pending = pendingTools[data.iteration + ':' + data.index];
+                        if (pending) pending.replaceWith(done);
+                    } else if (event === 'done') {
+                        if (data.conversationId) {
+                            setConversation(data.conversationId);
+                            loadConversations();
+                        }
+                        if (data.injected) {
+                            addMessage('assistant', '📝 Added ' + data.injected + ' prompt message(s) to the conversation');
+                            return;
                         }
+                        // Replace the streamed text with the cleaned final answer
+                        const finalText = data.finalResponse ?? data.response ?? '';
+                        if (bubble) {
+                            bubble.setText(finalText);
+                        } else if (finalText) {
+                            addMessage('assistant', finalText);
+                        }
+                    } else if (event === 'error') {
+                        addMessage('assistant', '❌ Error: ' + data.error);
                     }
-                    addMessage('assistant', '❌ Error: ' + result.error);
-                } else if (result.toolUsed) {
-                    addMessage('tool', '🔧 Used tool: ' + result.toolUsed, result.toolResult, result.rawResponse);
-                    addMessage('assistant', result.finalResponse);
-                } else {
-                    addMessage('assistant', result.response);
-                }
+                });
                 
             } catch (error) {
-                addMessage('assistant', '❌ Error: ' + error.message);
+                if (error.name === 'AbortError') {
+                    addMessage('assistant', '⏹️ Cancelled');
+                } else {
+                    addMessage('assistant', '❌ Error: ' + error.message);
+                }
             } finally {
+                currentRequest = null;
                 setLoading(false);
             }
         }
 
+        function stopGeneration() {
+            if (currentRequest) currentRequest.abort();
+        }
+
+        // Progress bar under a running tool; indeterminate when the server sends no total
+        function setToolProgress(messageDiv, data) {
+            let bar = messageDiv.querySelector('.tool-progress');
+            if (!bar) {
+                bar = document.createElement('div');
+                bar.className = 'tool-progress mt-2';
+                bar.innerHTML = '<div class="h-2 bg-green-100 rounded-full overflow-hidden"><div class="h-2 bg-green-500 transition-all duration-200" style="width: 0%"></div></div>' +
+                    '<div class="text-xs text-gray-600 mt-1"></div>';
+                messageDiv.appendChild(bar);
+            }
+            
+            const fill = bar.firstChild.firstChild;
+            if (data.total) {
+                fill.style.width = Math.min(100, data.progress / data.total * 100) + '%';
+                fill.classList.remove('animate-pulse');
+            } else {
+                fill.style.width = '100%';
+                fill.classList.add('animate-pulse');
+            }
+            bar.lastChild.textContent = (data.message ? data.message + ' ' : '') +
+                (data.total ? '(' + data.progress + '/' + data.total + ')' : '(' + data.progress + ')');
+        }
+
+        // Render the first queued elicitation request as a form built from its schema
+        function showElicitation() {
+            const modal = document.getElementById('elicitationModal');
+            const request = elicitations[0];
+            if (!request) {
+                modal.style.display = 'none';
+                return;
+            }
+            
+            document.getElementById('elicitation-server').textContent = request.server;
+            document.getElementById('elicitation-message').textContent = request.message;
+            document.getElementById('elicitation-error').style.display = 'none';
+            
+            const fields = document.getElementById('elicitation-fields');
+            fields.innerHTML = '';
+            const schema = request.requestedSchema;
+            Object.entries(schema.properties || {}).forEach(([key, prop]) => {
+                const required = (schema.required || []).includes(key);
+                const field = document.createElement('div');
+                
+                const label = document.createElement('label');
+                label.className = 'block text-sm font-semibold text-gray-700 mb-2';
+                label.textContent = (prop.title || key) + (required ? ' *' : '');
+                field.appendChild(label);
+                
+                let input;
+                if (prop.enum) {
+                    input = document.createElement('select');
+                    if (!required) input.appendChild(new Option('', ''));
+                    prop.enum.forEach((value, i) => input.appendChild(new Option(prop.enumNames?.[i] || value, value)));
+                } else if (prop.type === 'boolean') {
+                    input = document.createElement('input');
+                    input.type = 'checkbox';
+                    input.checked = !!prop.default;
+                } else {
+                    input = document.createElement('input');
+                    const formats = { email: 'email', uri: 'url', date: 'date', 'date-time': 'datetime-local' };
+                    input.type = (prop.type === 'number' || prop.type === 'integer') ? 'number' : (formats[prop.format] || 'text');
+                    if (prop.type === 'number') input.step = 'any';
+                    if (prop.minimum !== undefined) input.min = prop.minimum;
+                    if (prop.maximum !== undefined) input.max = prop.maximum;
+                    if (prop.minLength !== undefined) input.minLength = prop.minLength;
+                    if (prop.maxLength !== undefined) input.maxLength = prop.maxLength;
+                    input.required = required;
+                }
+                input.name = key;
+                if (input.type !== 'checkbox') {
+                    input.className = 'w-full px-4 py-3 border border-gray-300 rounded-lg text-base outline-none focus:border-purple-500 focus:ring-2 focus:ring-purple-200';
+                }
+                field.appendChild(input);
+                
+                if (prop.description) {
+                    const hint = document.createElement('small');
+                    hint.className = 'block mt-2 text-gray-600';
+                    hint.textContent = prop.description;
+                    field.appendChild(hint);
+                }
+                fields.appendChild(field);
+            });
+            
+            modal.style.display = 'block';
+        }
+
+        async function answerElicitation(action) {
+            const request = elicitations[0];
+            if (!request) return;
+            
+            const content = {};
+            if (action === 'accept') {
+                document.querySelectorAll('#elicitation-fields [name]').forEach(input => {
+                    content[input.name] = input.type === 'checkbox' ? input.checked : input.value;
+                });
+            }
+            
+            try {
+                const response = await fetch('/api/elicitation/' + request.id, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ action, content })
+                });
+                if (!response.ok) {
+                    const result = await response.json();
+                    throw new Error(result.error || response.statusText);
+                }
+                // request_answered removes it from the queue and shows the next one
+            } catch (error) {
+                const errorDiv = document.getElementById('elicitation-error');
+                errorDiv.textContent = '❌ ' + error.message;
+                errorDiv.style.display = 'block';
+            }
+        }
+
+        document.getElementById('elicitationForm').addEventListener('submit', function(e) {
+            e.preventDefault();
+            answerElicitation('accept');
+        });
+
+        // Prompt picker: choose an MCP prompt template and fill in its arguments
+        async function openPrompts() {
+            document.getElementById('promptModal').style.display = 'block';
+            await loadPrompts();
+        }
+
+        function closePrompts() {
+            document.getElementById('promptModal').style.display = 'none';
+        }
+
+        async function loadPrompts() {
+            const select = document.getElementById('prompt-select');
+            try {
+                const response = await fetch('/api/prompts');
+                prompts = await response.json();
+                
+                const selected = select.value;
+                select.innerHTML = '';
+                if (prompts.length === 0) {
+                    select.innerHTML = '<option value="">No prompts available</option>';
+                }
+                prompts.forEach(prompt => {
+                    const option = document.createElement('option');
+                    option.value = prompt.name;
+                    option.textContent = prompt.info?.title || prompt.name;
+                    option.title = prompt.name;
+                    select.appendChild(option);
+                });
+                if (prompts.some(prompt => prompt.name === selected)) select.value = selected;
+            } catch (error) {
+                console.error('Error loading prompts:', error);
+                select.innerHTML = '<option value="">Error loading prompts</option>';
+            }
+            renderPromptArgs();
+        }
+
+        // Build one input per prompt argument (required ones are marked with *)
+        function renderPromptArgs() {
+            const name = document.getElementById('prompt-select').value;
+            const prompt = prompts.find(p => p.name === name);
+            const container = document.getElementById('prompt-args');
+            container.innerHTML = '';
+            document.getElementById('prompt-description').textContent = prompt?.info?.description || '';
+            
+            (prompt?.info?.arguments || []).forEach(arg => {
+                const field = document.createElement('div');
+                
+                const label = document.createElement('label');
+                label.className = 'block text-sm font-semibold text-gray-700 mb-2';
+                label.textContent = arg.name + (arg.required ? ' *' : '');
+                
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.name = arg.name;
+                input.required = !!arg.required;
+                input.className = 'w-full px-4 py-3 border border-gray-300 rounded-lg text-base outline-none focus:border-purple-500 focus:ring-2 focus:ring-purple-200';
+                input.placeholder = arg.description || '';
+                
+                field.appendChild(label);
+                field.appendChild(input);
+                container.appendChild(field);
+            });
+        }
+
+        document.getElementById('promptForm').addEventListener('submit', async function(e) {
+            e.preventDefault();
+            if (isLoading) return;
+            
+            const name = document.getElementById('prompt-select').value;
+            if (!name) return;
+            
+            const args = {};
+            document.querySelectorAll('#prompt-args input').forEach(input => {
+                if (input.value !== '') args[input.name] = input.value;
+            });
+            
+            closePrompts();
+            const argText = Object.entries(args).map(([key, value]) => key + '=' + JSON.stringify(value)).join(' ');
+            addMessage('user', '📝 ' + name + (argText ? ' ' + argText : ''));
+            await streamChat({ prompt: { name, args } });
+        });
+
+        // Parse a text/event-stream response body, calling onEvent(event, data) per message
+        async function readEventStream(response, onEvent) {
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+                
+                let boundary;
+                while ((boundary = buffer.indexOf('\\n\\n')) !== -1) {
+                    const block = buffer.slice(0, boundary);
+                    buffer = buffer.slice(boundary + 2);
+                    
+                    let event = 'message';
+                    let data = '';
+                    block.split('\\n').forEach(line => {
+                        if (line.startsWith('event: ')) event = line.slice(7);
+                        else if (line.startsWith('data: ')) data += line.slice(6);
+                    });
+                    onEvent(event, data ? JSON.parse(data) : null);
+                }
+            }
+        }
+
+        // Assistant message that is re-rendered as tokens stream in
+        function addStreamingMessage() {
+            const messageDiv = addMessage('assistant', '');
+            const contentDiv = messageDiv.lastElementChild;
+            const messages = document.getElementById('messages');
+            let text = '';
+            
+            const render = function() {
+                if (typeof marked !== 'undefined') {
+                    contentDiv.innerHTML = marked.parse(text);
+                } else {
+                    contentDiv.textContent = text;
+                }
+                messages.scrollTop = messages.scrollHeight;
+            };
+            
+            return {
+                append: function(token) { text += token; render(); },
+                setText: function(newText) { text = newText; render(); },
+                text: function() { return text; },
+                remove: function() { messageDiv.remove(); }
+            };
+        }
+
         // Add message to chat
         function addMessage(type, content, toolResult = null, rawResponse = null) {
             const messages = document.getElementById('messages');
@@ -577,12 +1810,12 @@ class OllamaMCPWebGUI {
                     messageDiv.innerHTML = '<div class="font-semibold text-gray-800 mb-2">' + icon + ' ' + label + ':</div><div class="text-gray-700 leading-relaxed prose prose-sm max-w-none">' + renderedContent + '</div>';
                 } catch (error) {
                     console.error('Markdown rendering error:', error);
-                    messageDiv.innerHTML = '<div class="font-semibold text-gray-800 mb-2">' + icon + ' ' + label + ':</div><div class="text-gray-700 leading-relaxed">' + content + '</div>';
+                    messageDiv.innerHTML = '<div class="font-semibold text-gray-800 mb-2">' + icon + ' ' + label + ':</div><div class="text-gray-700 leading-relaxed whitespace-pre-wrap">' + escapeHtml(content) + '</div>';
                 }
             } else if (type === 'user') {
-                messageDiv.innerHTML = '<div class="font-semibold mb-2">' + icon + ' ' + label + ':</div><div class="leading-relaxed">' + content + '</div>';
+                messageDiv.innerHTML = '<div class="font-semibold mb-2">' + icon + ' ' + label + ':</div><div class="leading-relaxed whitespace-pre-wrap">' + escapeHtml(content) + '</div>';
             } else {
-                messageDiv.innerHTML = '<div class="font-semibold text-gray-800 mb-2">' + icon + ' ' + label + ':</div><div class="text-gray-700 leading-relaxed">' + content + '</div>';
+                messageDiv.innerHTML = '<div class="font-semibold text-gray-800 mb-2">' + icon + ' ' + label + ':</div><div class="text-gray-700 leading-relaxed whitespace-pre-wrap">' + escapeHtml(content) + '</div>';
             }
             
             // Add collapsible sections for tool messages
@@ -613,6 +1846,7 @@ class OllamaMCPWebGUI {
             
             messages.appendChild(messageDiv);
             messages.scrollTop = messages.scrollHeight;
+            return messageDiv;
         }
         
         // Create collapsible section
@@ -653,20 +1887,27 @@ class OllamaMCPWebGUI {
         function setLoading(loading) {
             isLoading = loading;
             document.getElementById('loading').style.display = loading ? 'block' : 'none';
+            document.getElementById('stop-btn').style.display = loading ? 'inline-block' : 'none';
         }
 
         // Clear chat
         function clearChat() {
-            // Clear conversation history on server side
-            fetch('/api/clear-history', { method: 'POST' })
+            // Clear this conversation on the server side; other tabs and conversations keep theirs
+            const cleared = conversationId
+                ? fetch('/api/clear-history', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ conversationId })
+                })
+                : Promise.resolve();
+            cleared
                 .then(() => {
-                    const messages = document.getElementById('messages');
-                    messages.innerHTML = '<div class="mb-5 p-4 bg-white border border-gray-200 rounded-xl max-w-4xl"><div class="font-semibold text-gray-800 mb-2">🤖 Assistant:</div><div class="text-gray-700 leading-relaxed">Chat and conversation history cleared! How can I help you?</div></div>';
+                    resetMessages('Chat and conversation history cleared! How can I help you?');
+                    loadConversations();
                 })
                 .catch(error => {
                     console.error('Error clearing history:', error);
-                    const messages = document.getElementById('messages');
-                    messages.innerHTML = '<div class="mb-5 p-4 bg-white border border-gray-200 rounded-xl max-w-4xl"><div class="font-semibold text-gray-800 mb-2">🤖 Assistant:</div><div class="text-gray-700 leading-relaxed">Chat cleared! How can I help you?</div></div>';
+                    resetMessages('Chat cleared! How can I help you?');
                 });
         }
 
@@ -720,14 +1961,7 @@ class OllamaMCPWebGUI {
                 document.getElementById('current-model').textContent = '🦙 ' + (currentConfig.ollama.defaultModel || 'No model set');
                 
                 // Populate MCP servers list
-                const serversList = document.getElementById('mcp-servers-list');
-                if (currentConfig.mcpServers.length === 0) {
-                    serversList.innerHTML = '<em>No MCP servers configured</em>';
-                } else {
-                    serversList.innerHTML = currentConfig.mcpServers.map(server => 
-                        '<div style="padding: 5px; background: #f8f9fa; margin: 2px 0; border-radius: 3px;">• ' + server + '</div>'
-                    ).join('');
-                }
+                await loadServerList();
                 
                 // Show modal
                 document.getElementById('settingsModal').style.display = 'block';
@@ -738,6 +1972,70 @@ class OllamaMCPWebGUI {
             }
         }
 
+        // Render each configured MCP server with its state and controls
+        async function loadServerList() {
+            const serversList = document.getElementById('mcp-servers-list');
+            try {
+                const response = await fetch('/api/servers');
+                const servers = await response.json();
+                
+                if (servers.length === 0) {
+                    serversList.innerHTML = '<em>No MCP servers configured</em>';
+                    return;
+                }
+                
+                const stateIcons = { ready: '🟢', degraded: '🟡', connecting: '⏳', dead: '🔴', disabled: '⏸️' };
+                serversList.innerHTML = '';
+                servers.forEach(server => {
+                    const row = document.createElement('div');
+                    row.className = 'flex items-center justify-between gap-2 p-2 bg-white border border-gray-200 rounded';
+                    
+                    const info = document.createElement('div');
+                    info.className = 'text-sm';
+                    info.textContent = (stateIcons[server.state] || '•') + ' ' + server.name + ' — ' + server.state + ' (' + server.tools + ' tools)';
+                    if (server.lastError) info.title = server.lastError;
+                    row.appendChild(info);
+                    
+                    const actions = document.createElement('div');
+                    actions.className = 'flex gap-1';
+                    const disabled = server.state === 'disabled';
+                    if (!disabled) {
+                        actions.appendChild(createServerButton('Restart', 'bg-blue-500 hover:bg-blue-600', server.name, 'restart'));
+                    }
+                    actions.appendChild(disabled
+                        ? createServerButton('Enable', 'bg-green-500 hover:bg-green-600', server.name, 'enable')
+                        : createServerButton('Disable', 'bg-gray-500 hover:bg-gray-600', server.name, 'disable'));
+                    row.appendChild(actions);
+                    
+                    serversList.appendChild(row);
+                });
+            } catch (error) {
+                console.error('Error loading servers:', error);
+                serversList.innerHTML = '<em>Error loading servers</em>';
+            }
+        }
+
+        function createServerButton(label, colors, serverName, action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'px-2 py-1 text-xs text-white rounded ' + colors;
+            button.textContent = label;
+            button.onclick = async function() {
+                button.disabled = true;
+                button.textContent = '…';
+                try {
+                    const response = await fetch('/api/servers/' + encodeURIComponent(serverName) + '/' + action, { method: 'POST' });
+                    const result = await response.json();
+                    if (result.error) alert('Error: ' + result.error);
+                } catch (error) {
+                    alert('Error: ' + error.message);
+                }
+                await loadServerList();
+                loadTools();
+            };
+            return button;
+        }
+
         function closeSettings() {
             document.getElementById('settingsModal').style.display = 'none';
         }
@@ -747,16 +2045,23 @@ class OllamaMCPWebGUI {
             e.preventDefault();
             
             try {
-                const formData = {
-                    ollama: {
-                        host: document.getElementById('ollama-host').value,
-                        defaultModel: document.getElementById('ollama-model').value
-                    },
-                    instructions: {
-                        system: document.getElementById('system-instructions').value,
-                        followUp: document.getElementById('followup-instructions').value
-                    }
-                };
+                // Only send what was changed, so values from the global or local config
+                // are not copied into the project file
+                const ollama = {};
+                const host = document.getElementById('ollama-host').value;
+                if (host !== (currentConfig.ollama.host || '')) ollama.host = host;
+                const defaultModel = document.getElementById('ollama-model').value;
+                if (defaultModel && defaultModel !== currentConfig.ollama.defaultModel) ollama.defaultModel = defaultModel;
+                
+                const instructions = {};
+                const system = document.getElementById('system-instructions').value;
+                if (system !== (currentConfig.instructions.system || '')) instructions.system = system;
+                const followUp = document.getElementById('followup-instructions').value;
+                if (followUp !== (currentConfig.instructions.followUp || '')) instructions.followUp = followUp;
+                
+                const formData = {};
+                if (Object.keys(ollama).length > 0) formData.ollama = ollama;
+                if (Object.keys(instructions).length > 0) formData.instructions = instructions;
                 
                 const configPath = document.getElementById('config-path').value;
                 if (configPath) {
@@ -781,7 +2086,7 @@ class OllamaMCPWebGUI {
                 
                 if (result.success) {
                     // Update the current model display immediately
-                    const newModelName = document.getElementById('ollama-model').value || 'No model set';
+                    const newModelName = defaultModel || currentConfig.ollama.defaultModel || 'No model set';
                     document.getElementById('current-model').textContent = '🦙 ' + newModelName;
                     
                     closeSettings();
@@ -800,32 +2105,31 @@ class OllamaMCPWebGUI {
         async function refreshModels() {
             const refreshBtn = document.getElementById('refresh-models-btn');
             const modelSelect = document.getElementById('ollama-model');
-            const currentHost = document.getElementById('ollama-host').value || 'http://localhost:11434';
+            const currentHost = document.getElementById('ollama-host').value;
+            const hostLabel = currentHost || 'the default host';
             
             try {
                 // Show loading state
                 refreshBtn.disabled = true;
                 refreshBtn.innerHTML = '<svg class="w-4 h-4 animate-spin" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path></svg>Loading...';
-                modelSelect.innerHTML = '<option value="">Loading models from ' + currentHost + '...</option>';
-                
-                // Create a temporary Ollama client with the current host
-                const tempOllamaConfig = { host: currentHost };
+                modelSelect.innerHTML = '';
+                modelSelect.appendChild(new Option('Loading models from ' + hostLabel + '...', ''));
                 
-                // Make a direct request to the Ollama API
-                const response = await fetch(currentHost + '/api/tags');
+                // The server asks Ollama; the configured host may hold placeholders like OLLAMA_HOST
+                const response = await fetch('/api/models' + (currentHost ? '?host=' + encodeURIComponent(currentHost) : ''));
+                const data = await response.json();
                 
                 if (!response.ok) {
-                    throw new Error('Failed to connect to Ollama server at ' + currentHost);
+                    throw new Error(data.error || 'Failed to connect to Ollama server at ' + hostLabel);
                 }
                 
-                const data = await response.json();
                 const models = data.models || [];
                 
                 // Update the models dropdown
                 modelSelect.innerHTML = '';
                 
                 if (models.length === 0) {
-                    modelSelect.innerHTML = '<option value="">No models found on ' + currentHost + '</option>';
+                    modelSelect.appendChild(new Option('No models found on ' + hostLabel, ''));
                 } else {
                     const currentSelectedModel = currentConfig.ollama?.defaultModel;
                     
@@ -843,11 +2147,12 @@ class OllamaMCPWebGUI {
                 // Update availableModels global variable
                 availableModels = models;
                 
-                console.log('✅ Refreshed models from ' + currentHost + ': ' + models.length + ' models found');
+                console.log('✅ Refreshed models from ' + hostLabel + ': ' + models.length + ' models found');
                 
             } catch (error) {
                 console.error('❌ Error refreshing models:', error);
-                modelSelect.innerHTML = '<option value="">Error loading models: ' + error.message + '</option>';
+                modelSelect.innerHTML = '';
+                modelSelect.appendChild(new Option('Error loading models: ' + error.message, ''));
             } finally {
                 // Restore button state
                 refreshBtn.disabled = false;
@@ -861,6 +2166,12 @@ class OllamaMCPWebGUI {
             if (event.target === modal) {
                 closeSettings();
             }
+            if (event.target === document.getElementById('promptModal')) {
+                closePrompts();
+            }
+            if (event.target === document.getElementById('resourceModal')) {
+                closeResources();
+            }
         }
 
 
@@ -906,9 +2217,14 @@ class OllamaMCPWebGUI {
     `;
   }
 
+  // Servers added (even disabled) or enabled through the API may only run a local command with --allow-stdio-servers
+  mayStartServer(config) {
+    return this.allowStdioServers || (config.type || 'stdio') !== 'stdio';
+  }
+
   async start() {
-    this.app.listen(this.port, () => {
-      console.log(`\n🌐 Web GUI running at: http://localhost:${this.port}`);
+    this.app.listen(this.port, this.host, () => {
+      console.log(`\n🌐 Web GUI running at: http://${this.host === '127.0.0.1' ? 'localhost' : this.host}:${this.port}`);
       console.log('💡 Open this URL in your browser to use the GUI');
       console.log('🔧 Press Ctrl+C to stop the server\n');
     });